@@ -0,0 +1,358 @@
+const { HIGHLIGHT_START, HIGHLIGHT_END, escapeMrkdwn, discordToMrkdwn, discordToPlain, excerpt, truncateMrkdwn } = require('./slack-mrkdwn');
+
+// Slack の検出通知メッセージ（Block Kit）
+// 初回の通知と、編集・削除・対応済みなどの状態変化による元メッセージの更新で共通して使用する
+// Slack 以外の送信先には buildPlainAlert() のテキスト形式を使用する
+// レイアウト・文言は templates（config.json の messages）で変更できる
+
+// 操作ボタンの action_id（--serve モードの /slack/interactions で処理）
+const ACTIONS = {
+  ASSIGN: 'assign',
+  RESOLVE: 'resolve',
+  SNOOZE: 'snooze',
+  FALSE_POSITIVE: 'false_positive'
+};
+
+// 検出通知に表示する本文の上限（セクションのテキストの上限 3000 文字からラベルの分を除く）
+const MAX_CONTENT_LENGTH = 2800;
+
+// ダイジェストに表示する1件の本文の長さ
+const DIGEST_SUMMARY_LENGTH = 80;
+
+// 本文を Slack の mrkdwn に変換
+// keywordMatch を指定すると一致箇所を太字にし、長い本文は一致箇所が含まれるように切り出す
+function formatContent(text, keywordMatch, context) {
+  const highlight = keywordMatch && keywordMatch.end > keywordMatch.start;
+  const part = highlight
+    ? excerpt(text, keywordMatch.start, keywordMatch.end, MAX_CONTENT_LENGTH)
+    : excerpt(text, 0, 0, MAX_CONTENT_LENGTH);
+  const marked = highlight
+    ? `${part.text.slice(0, part.start)}${HIGHLIGHT_START}${part.text.slice(part.start, part.end)}${HIGHLIGHT_END}${part.text.slice(part.end)}`
+    : part.text;
+  return truncateMrkdwn(discordToMrkdwn(marked, context), MAX_CONTENT_LENGTH);
+}
+
+// 画像添付のサムネイルとリンク
+function buildImageBlocks(images) {
+  if (images.length === 0) {
+    return [];
+  }
+
+  const MAX_THUMBNAILS = 5;
+  return [
+    {
+      type: 'context',
+      elements: [
+        ...images.slice(0, MAX_THUMBNAILS).map(image => ({
+          type: 'image',
+          image_url: image.url,
+          alt_text: image.name
+        })),
+        {
+          type: 'mrkdwn',
+          text: images.map(image => `<${image.url}|:frame_with_picture: ${escapeMrkdwn(image.name)}>`).join('  ')
+        }
+      ]
+    }
+  ];
+}
+
+// 追跡データから Slack の元メッセージに表示する状態を作成
+function getTrackedStatus(trackedMsg) {
+  return {
+    content: trackedMsg.contentSnapshot,
+    editedTimestamp: trackedMsg.editedTimestamp || null,
+    deletedAt: trackedMsg.deletedAt || null,
+    resolution: trackedMsg.resolution || null,
+    assignee: trackedMsg.assignee || null,
+    snoozedUntil: trackedMsg.snoozedUntil || null,
+    falsePositive: trackedMsg.falsePositive || null
+  };
+}
+
+// 操作ボタン（値は Discord メッセージID）
+function buildActionBlocks(messageId, templates) {
+  const button = (key, actionId, style) => ({
+    type: 'button',
+    text: { type: 'plain_text', text: templates.t(key), emoji: true },
+    action_id: actionId,
+    value: messageId,
+    ...(style ? { style } : {})
+  });
+
+  return [{
+    type: 'actions',
+    elements: [
+      button('button.assign', ACTIONS.ASSIGN),
+      button('button.resolve', ACTIONS.RESOLVE, 'primary'),
+      button('button.snooze', ACTIONS.SNOOZE),
+      button('button.falsePositive', ACTIONS.FALSE_POSITIVE, 'danger')
+    ]
+  }];
+}
+
+// 状態の表示（対応済み・誤検知・担当・再通知予定・編集・削除）
+function buildStatusBlocks(status, closed, templates) {
+  if (!status) {
+    return [];
+  }
+  const { t, formatTime } = templates;
+  const user = (record) => escapeMrkdwn(record.username);
+  const statusLines = [];
+  if (status.resolution && status.resolution.source === 'slack') {
+    statusLines.push(t('status.resolvedInSlack', { user: user(status.resolution), time: formatTime(status.resolution.resolvedAt) }));
+  } else if (status.resolution) {
+    statusLines.push(t('status.resolvedByReaction', { user: user(status.resolution), emoji: status.resolution.emoji, time: formatTime(status.resolution.resolvedAt) }));
+  }
+  if (status.falsePositive) {
+    statusLines.push(t('status.falsePositive', { user: user(status.falsePositive), time: formatTime(status.falsePositive.markedAt) }));
+  }
+  if (status.assignee) {
+    statusLines.push(t('status.assignee', { user: user(status.assignee), time: formatTime(status.assignee.assignedAt) }));
+  }
+  if (!closed && status.snoozedUntil) {
+    statusLines.push(t('status.snoozed', { time: formatTime(status.snoozedUntil) }));
+  }
+  if (status.deletedAt) {
+    statusLines.push(t('status.deleted', { time: formatTime(status.deletedAt) }));
+  } else if (status.editedTimestamp) {
+    statusLines.push(t('status.edited', { time: formatTime(status.editedTimestamp) }));
+  }
+  return statusLines.map(text => ({ type: 'context', elements: [{ type: 'mrkdwn', text }] }));
+}
+
+// 送信者の表示（プロフィールへのリンク。Webhook の送信者・以前の追跡データはリンクなし）
+function formatAuthorLink(match) {
+  const name = escapeMrkdwn(match.author);
+  return match.authorUrl ? `<${match.authorUrl}|${name}>` : name;
+}
+
+// チャンネルの表示（スレッドは親チャンネル > スレッド名）
+function formatChannelLabel(match, mrkdwn) {
+  if (!mrkdwn) {
+    return match.threadName ? `#${match.channelName} > ${match.threadName}` : `#${match.channelName}`;
+  }
+  return match.threadName
+    ? `#${escapeMrkdwn(match.channelName)}\n:thread: ${escapeMrkdwn(match.threadName)}`
+    : `#${escapeMrkdwn(match.channelName)}`;
+}
+
+// 検出通知のメッセージを作成
+// status を指定すると、Discord での編集・削除や対応済みの状態を表示する（Slack の元メッセージの更新用）
+//   status: getTrackedStatus() の戻り値
+// options.templates: メッセージのテンプレート（templates/index.js の compileTemplates() の戻り値）
+// options.interactive: 操作ボタンを表示する（options.messageId がボタンの値になる）
+// options.mention: 先頭のメンション（Slack の表記。空文字列ならメンションなし、既定: <!channel>）
+function buildAlertMessage(match, status = null, options = {}) {
+  const { templates } = options;
+  const { t } = templates;
+  const context = templates.discordContext(match.mentionNames);
+  const content = status && status.content !== undefined ? status.content : match.content;
+  // 編集で本文が変わった場合は一致箇所の位置が変わるため強調しない
+  const highlightContent = match.keywordMatch.source === 'content' && content === match.content;
+  const resolution = status && status.resolution;
+  const falsePositive = status && status.falsePositive;
+  const closed = Boolean(resolution || falsePositive || (status && status.deletedAt));
+
+  const mention = options.mention === undefined ? '<!channel>' : options.mention;
+  const mentionPrefix = mention ? `${mention} ` : '';
+  let title = t('alert.title', { mention: mentionPrefix });
+  let header = t('alert.header', { mention: mentionPrefix });
+  if (resolution) {
+    title = t('alert.resolvedTitle');
+    header = t('alert.resolvedHeader');
+  } else if (falsePositive) {
+    title = t('alert.falsePositiveTitle');
+    header = t('alert.falsePositiveHeader');
+  }
+
+  // 本文以外（埋め込み・添付ファイル名・転送メッセージ）で一致した場合はその内容を表示
+  const sourceBlocks = match.keywordMatch.source === 'content' ? [] : [{
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*${escapeMrkdwn(match.keywordMatch.sourceLabel)}:*\n${formatContent(match.keywordMatch.sourceText, match.keywordMatch, context)}`
+    }
+  }];
+
+  return templates.render('alert', {
+    title,
+    header,
+    mention: mentionPrefix,
+    guild: escapeMrkdwn(match.guildName),
+    channel: formatChannelLabel(match, true),
+    author: formatAuthorLink(match),
+    authorName: escapeMrkdwn(match.author),
+    authorUrl: match.authorUrl || '',
+    time: templates.formatTime(match.messageTime),
+    content: content
+      ? formatContent(content, highlightContent ? match.keywordMatch : null, context)
+      : `_${t('alert.noContent')}_`,
+    rule: escapeMrkdwn(match.keywordMatch.rule),
+    keyword: escapeMrkdwn(match.keywordMatch.text),
+    reason: escapeMrkdwn(match.reason),
+    url: match.messageUrl
+  }, {
+    status: buildStatusBlocks(status, closed, templates),
+    source: sourceBlocks,
+    images: buildImageBlocks(match.images),
+    actions: options.interactive && !closed ? buildActionBlocks(options.messageId, templates) : []
+  });
+}
+
+// Slack 以外の送信先（Webhook・Teams・メール）用の検出通知
+function buildPlainAlert(match, templates) {
+  const { t } = templates;
+  const context = templates.discordContext(match.mentionNames);
+  const fields = [
+    { label: t('field.guild'), value: match.guildName },
+    { label: t('field.channel'), value: formatChannelLabel(match, false) },
+    { label: t('field.author'), value: match.author },
+    { label: t('field.time'), value: templates.formatTime(match.messageTime) },
+    { label: t('field.rule'), value: t('alert.ruleValue', { rule: match.keywordMatch.rule, keyword: match.keywordMatch.text }) },
+    { label: t('field.reason'), value: match.reason }
+  ];
+  if (match.keywordMatch.source !== 'content') {
+    fields.push({ label: match.keywordMatch.sourceLabel, value: discordToPlain(match.keywordMatch.sourceText, context) });
+  }
+
+  return {
+    title: t('alert.title', { mention: '' }),
+    text: match.content ? discordToPlain(match.content, context) : t('alert.noContent'),
+    fields,
+    url: match.messageUrl,
+    urlLabel: t('alert.openMessage')
+  };
+}
+
+// Webhook の送信先に渡す検出の詳細
+function buildAlertData(match) {
+  return {
+    messageId: match.messageId,
+    guildId: match.guildId,
+    guildName: match.guildName,
+    channelId: match.channelId,
+    channelName: match.channelName,
+    threadName: match.threadName,
+    authorId: match.authorId,
+    author: match.author,
+    authorUsername: match.authorUsername,
+    authorUrl: match.authorUrl,
+    content: match.content,
+    rule: match.keywordMatch.rule,
+    keyword: match.keywordMatch.text,
+    reason: match.reason,
+    messageUrl: match.messageUrl,
+    messageTime: match.messageTime
+  };
+}
+
+// ダイジェストでチャンネルごとに表示する件数の上限
+const MAX_DIGEST_ITEMS_PER_CHANNEL = 10;
+
+// ダイジェストのサーバー・チャンネルのブロック数の上限（Slack の上限は50。見出しなどのブロックの分を空けておく）
+const MAX_DIGEST_BLOCKS = 43;
+
+// 複数の検出をサーバー・チャンネルごとにまとめた通知（ダイジェスト）
+// 戻り値: 送信先の content（slack / plain / data）
+function buildDigestMessage(matches, mention, templates) {
+  const { t } = templates;
+  const guilds = new Map();
+  for (const match of matches) {
+    const channelLabel = formatChannelLabel(match, false);
+    if (!guilds.has(match.guildName)) {
+      guilds.set(match.guildName, new Map());
+    }
+    const channels = guilds.get(match.guildName);
+    if (!channels.has(channelLabel)) {
+      channels.set(channelLabel, []);
+    }
+    channels.get(channelLabel).push(match);
+  }
+
+  // 1行に収まるように空白をまとめて短くした本文
+  const summarize = (match) => excerpt((match.content || match.keywordMatch.sourceText).replace(/\s+/g, ' '), 0, 0, DIGEST_SUMMARY_LENGTH).text;
+  const mentionPrefix = mention ? `${mention} ` : '';
+  const guildBlocks = [];
+  const plainLines = [];
+  let omittedChannels = 0;
+
+  for (const [guildName, channels] of guilds) {
+    plainLines.push(`■ ${guildName}`);
+    const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: t('digest.guild', { guild: escapeMrkdwn(guildName) }) } }];
+    for (const [channelLabel, channelMatches] of channels) {
+      const shown = channelMatches.slice(0, MAX_DIGEST_ITEMS_PER_CHANNEL);
+      const more = channelMatches.length - shown.length;
+      plainLines.push(t('digest.plainChannel', { channel: channelLabel, count: channelMatches.length }));
+      plainLines.push(...shown.map(match => `- ${match.author}: ${discordToPlain(summarize(match), templates.discordContext(match.mentionNames))} ${match.messageUrl}`));
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: [
+            t('digest.channel', { channel: escapeMrkdwn(channelLabel), count: channelMatches.length }),
+            ...shown.map(match => t('digest.item', {
+              author: escapeMrkdwn(match.author),
+              summary: discordToMrkdwn(summarize(match), templates.discordContext(match.mentionNames)),
+              url: match.messageUrl
+            })),
+            ...(more > 0 ? [t('digest.more', { count: more })] : [])
+          ].join('\n')
+        }
+      });
+    }
+    plainLines.push('');
+
+    if (guildBlocks.length + blocks.length > MAX_DIGEST_BLOCKS) {
+      omittedChannels += channels.size;
+      continue;
+    }
+    guildBlocks.push(...blocks);
+  }
+
+  const omittedBlocks = omittedChannels > 0 ? [{
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: t('digest.omitted', { count: omittedChannels }) }]
+  }] : [];
+
+  return {
+    slack: templates.render('digest', {
+      title: t('digest.title', { mention: mentionPrefix, count: matches.length }),
+      mention: mentionPrefix,
+      count: matches.length
+    }, {
+      guilds: guildBlocks,
+      omitted: omittedBlocks
+    }),
+    plain: {
+      title: t('digest.title', { mention: '', count: matches.length }),
+      text: plainLines.join('\n').trim(),
+      fields: [],
+      url: null
+    },
+    data: {
+      count: matches.length,
+      alerts: matches.map(buildAlertData)
+    }
+  };
+}
+
+// 追跡データから Slack の元メッセージを作成（状態変化による更新用）
+function buildTrackedAlert(trackedMsg, interactive, templates) {
+  return buildAlertMessage(trackedMsg.alert, getTrackedStatus(trackedMsg), {
+    templates,
+    interactive,
+    mention: trackedMsg.mention,
+    messageId: trackedMsg.discordMessageId
+  });
+}
+
+module.exports = {
+  ACTIONS,
+  getTrackedStatus,
+  buildAlertMessage,
+  buildPlainAlert,
+  buildAlertData,
+  buildDigestMessage,
+  buildTrackedAlert
+};
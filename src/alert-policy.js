@@ -0,0 +1,120 @@
+const { compileMatcher } = require('./matcher');
+const { formatMention } = require('./escalation');
+
+// 検出通知の配信ポリシー（メンション・ダイジェスト・夜間の保留・緊急キーワード）
+//
+// config.json の例:
+//   "alertPolicy": {
+//     "mention": "here",
+//     "digest": { "threshold": 3, "windowMinutes": 10 },
+//     "quietHours": { "start": "22:00", "end": "08:00" },
+//     "urgentKeywords": ["至急", "緊急", { "name": "督促", "regex": "督促|催促" }],
+//     "urgentMention": "channel"
+//   }
+//
+// mention / urgentMention: "channel"、"here"、"none"、Slack のユーザーグループID（S...）・ユーザーID（U...）
+// digest: 1回の配信で threshold 件以上の検出があれば、メンションは1回だけのまとめ通知にする
+//   （Gateway モードでは最初の検出から windowMinutes 分待ってまとめて配信する）
+// quietHours: 日本時間のこの時間帯は緊急でない検出を保留し、終了後の最初の配信でまとめて通知する
+// urgentKeywords: 本文などにこのキーワードを含む検出は、夜間・ダイジェストの待ち時間に関わらずすぐに個別に通知する
+
+const DEFAULT_DIGEST = { threshold: 3, windowMinutes: 5 };
+
+// 日本時間（UTC+9）
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// "HH:MM" → 0時からの分
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// 設定を既定値で補完し、緊急キーワードをコンパイル
+function compileAlertPolicy(policy = {}) {
+  return {
+    mention: policy.mention || 'channel',
+    digest: policy.digest ? { ...DEFAULT_DIGEST, ...policy.digest } : null,
+    quietHours: policy.quietHours || null,
+    urgentMention: policy.urgentMention || 'channel',
+    urgentMatcher: (policy.urgentKeywords || []).length > 0
+      ? compileMatcher({ keywordRules: policy.urgentKeywords })
+      : null
+  };
+}
+
+// Slack のメンション表記（none は空文字列）
+function formatPolicyMention(mention) {
+  return mention === 'none' ? '' : formatMention(mention);
+}
+
+// 夜間（quietHours の時間帯）か
+function isQuietHours(policy, now = Date.now()) {
+  if (!policy.quietHours) {
+    return false;
+  }
+  const minutes = Math.floor((now + JST_OFFSET_MS) / 60000) % (24 * 60);
+  const start = parseTime(policy.quietHours.start);
+  const end = parseTime(policy.quietHours.end);
+  // 22:00〜08:00 のように日付をまたぐ時間帯
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// 緊急キーワードを含む検出か（一致したキーワードを返す）
+function findUrgentKeyword(policy, match) {
+  if (!policy.urgentMatcher) {
+    return null;
+  }
+  for (const text of [match.content, match.keywordMatch.sourceText]) {
+    const urgent = text ? policy.urgentMatcher.match(text) : null;
+    if (urgent) {
+      return urgent.text;
+    }
+  }
+  return null;
+}
+
+// 配信待ちの検出を、今配信するものと保留するものに分ける
+// holdForWindow: Gateway モードでダイジェストの待ち時間（最初の検出から windowMinutes 分）が過ぎるまで保留する
+// 戻り値: { deliverable, held, nextDeliveryAt }（nextDeliveryAt: 待ち時間による保留が終わる時刻）
+function selectDeliverable(pendingAlerts, policy, { now = Date.now(), holdForWindow = false } = {}) {
+  const urgent = pendingAlerts.filter(alert => alert.urgent);
+  const normal = pendingAlerts.filter(alert => !alert.urgent);
+
+  if (isQuietHours(policy, now)) {
+    return { deliverable: urgent, held: normal, nextDeliveryAt: null };
+  }
+  if (holdForWindow && policy.digest && normal.length > 0) {
+    const oldest = Math.min(...normal.map(alert => new Date(alert.queuedAt).getTime()));
+    const windowEnd = oldest + policy.digest.windowMinutes * 60 * 1000;
+    if (windowEnd > now) {
+      return { deliverable: urgent, held: normal, nextDeliveryAt: windowEnd };
+    }
+  }
+  return { deliverable: pendingAlerts, held: [], nextDeliveryAt: null };
+}
+
+// 設定の説明（起動時のログ用）
+function describeAlertPolicy(policy) {
+  const parts = [`メンション: ${policy.mention}`];
+  if (policy.digest) {
+    parts.push(`ダイジェスト: ${policy.digest.threshold}件以上 (Gateway は ${policy.digest.windowMinutes}分ごと)`);
+  }
+  if (policy.quietHours) {
+    parts.push(`夜間保留: ${policy.quietHours.start}〜${policy.quietHours.end} (JST)`);
+  }
+  if (policy.urgentMatcher) {
+    parts.push(`緊急キーワード: ${policy.urgentMatcher.rules.map(rule => rule.name).join(', ')} (${policy.urgentMention})`);
+  }
+  return parts.join(' / ');
+}
+
+module.exports = {
+  compileAlertPolicy,
+  describeAlertPolicy,
+  formatPolicyMention,
+  isQuietHours,
+  findUrgentKeyword,
+  selectDeliverable
+};
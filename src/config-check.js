@@ -0,0 +1,112 @@
+const { discordRequest } = require('./discord-api');
+
+// --check-config: Bot が各サーバーにアクセスでき、何チャンネル読めるかを確認する
+
+// 権限ビット
+const PERMISSIONS = {
+  ADMINISTRATOR: 1n << 3n,
+  VIEW_CHANNEL: 1n << 10n,
+  READ_MESSAGE_HISTORY: 1n << 16n
+};
+
+// 監視対象のチャンネル種別（テキスト・アナウンス・フォーラム・メディア）
+const READABLE_CHANNEL_TYPES = [0, 5, 15, 16];
+
+// サーバー全体での Bot の権限
+function computeBasePermissions(guild, member) {
+  if (guild.owner_id === member.user.id) {
+    return ~0n;
+  }
+
+  const roles = new Map(guild.roles.map(role => [role.id, BigInt(role.permissions)]));
+  let permissions = roles.get(guild.id) || 0n; // @everyone
+  for (const roleId of member.roles) {
+    permissions |= roles.get(roleId) || 0n;
+  }
+  return permissions;
+}
+
+// チャンネルの権限上書きを適用
+function computeChannelPermissions(basePermissions, guild, member, channel) {
+  if (basePermissions & PERMISSIONS.ADMINISTRATOR) {
+    return ~0n;
+  }
+
+  let permissions = basePermissions;
+  const overwrites = channel.permission_overwrites || [];
+
+  const everyone = overwrites.find(overwrite => overwrite.id === guild.id);
+  if (everyone) {
+    permissions &= ~BigInt(everyone.deny);
+    permissions |= BigInt(everyone.allow);
+  }
+
+  let roleAllow = 0n;
+  let roleDeny = 0n;
+  for (const overwrite of overwrites) {
+    if (overwrite.type === 0 && member.roles.includes(overwrite.id)) {
+      roleAllow |= BigInt(overwrite.allow);
+      roleDeny |= BigInt(overwrite.deny);
+    }
+  }
+  permissions &= ~roleDeny;
+  permissions |= roleAllow;
+
+  const memberOverwrite = overwrites.find(overwrite => overwrite.type === 1 && overwrite.id === member.user.id);
+  if (memberOverwrite) {
+    permissions &= ~BigInt(memberOverwrite.deny);
+    permissions |= BigInt(memberOverwrite.allow);
+  }
+
+  return permissions;
+}
+
+// メッセージ履歴を読めるか
+function canReadChannel(permissions) {
+  const required = PERMISSIONS.VIEW_CHANNEL | PERMISSIONS.READ_MESSAGE_HISTORY;
+  return (permissions & required) === required;
+}
+
+// 1サーバー分のアクセス確認
+async function checkGuildAccess(guildId, botUser, token) {
+  try {
+    const guild = await discordRequest(`/guilds/${guildId}`, token);
+    const member = await discordRequest(`/guilds/${guildId}/members/${botUser.id}`, token);
+    const channels = await discordRequest(`/guilds/${guildId}/channels`, token);
+
+    const basePermissions = computeBasePermissions(guild, member);
+    const candidates = channels.filter(channel => READABLE_CHANNEL_TYPES.includes(channel.type));
+    const readable = candidates.filter(channel =>
+      canReadChannel(computeChannelPermissions(basePermissions, guild, member, channel))
+    );
+
+    return {
+      guildId,
+      guildName: guild.name,
+      ok: true,
+      channelCount: candidates.length,
+      readableCount: readable.length
+    };
+  } catch (error) {
+    const reason = error.status === 403 || error.status === 404
+      ? 'Bot がサーバーに参加していないか、アクセス権限がありません'
+      : error.message;
+    return { guildId, guildName: null, ok: false, error: reason };
+  }
+}
+
+// 全サーバーのアクセス確認
+async function checkDiscordAccess(config) {
+  const botUser = await discordRequest('/users/@me', config.discordToken);
+  const results = [];
+  for (const guildId of config.guildIds) {
+    results.push(await checkGuildAccess(guildId, botUser, config.discordToken));
+  }
+  return { botUser, results };
+}
+
+module.exports = {
+  checkDiscordAccess,
+  computeBasePermissions,
+  computeChannelPermissions
+};
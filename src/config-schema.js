@@ -0,0 +1,653 @@
+const { BACKENDS } = require('./storage');
+const { TYPES: DESTINATION_TYPES, KINDS: NOTIFICATION_KINDS, DEFAULT_DESTINATION } = require('./destinations');
+const { TRACKING_HOURS } = require('./escalation');
+const { LOCALES, LAYOUT_PARTIALS, listStringKeys } = require('./templates');
+
+// config.json と環境変数の検証
+// 型の誤り・未知のキー（タイプミス）・空のキーワードなど、実行しても気づきにくい設定ミスを起動前に検出する
+
+const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+// スキーマの型
+// snowflake: Discord ID（数値だと JSON.parse で精度が落ちるため文字列必須）
+const SNOWFLAKE = { type: 'snowflake' };
+const STRING = { type: 'string', minLength: 1 };
+const SNOWFLAKE_LIST = { type: 'array', items: SNOWFLAKE };
+const STRING_LIST = { type: 'array', items: STRING };
+const POSITIVE_NUMBER = { type: 'number', minimum: 0, exclusiveMinimum: true };
+const POSITIVE_INTEGER = { type: 'integer', minimum: 1 };
+
+// 正規表現として解釈できるか
+function validateRegex(value, flags) {
+  try {
+    new RegExp(value, flags);
+    return null;
+  } catch (error) {
+    return `正規表現が不正です (${error.message})`;
+  }
+}
+
+const KEYWORD_RULE = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    keywords: { type: 'array', items: STRING, minItems: 1 },
+    regex: STRING,
+    flags: { type: 'string', pattern: /^[imsuy]*$/, patternDescription: 'i, m, s, u, y のみ使用できます' }
+  },
+  validate: (rule) => {
+    if (!rule.keywords && !rule.regex) {
+      return 'keywords または regex のどちらかが必要です';
+    }
+    return rule.regex ? validateRegex(rule.regex, rule.flags) : null;
+  }
+};
+
+const EXCLUDE_RULE = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    keyword: STRING,
+    keywords: { type: 'array', items: STRING, minItems: 1 },
+    regex: STRING,
+    flags: KEYWORD_RULE.properties.flags,
+    withinChars: { type: 'integer', minimum: 0 }
+  },
+  validate: (rule) => {
+    if (!rule.keyword && !rule.keywords && !rule.regex) {
+      return 'keyword・keywords・regex のいずれかが必要です';
+    }
+    return rule.regex ? validateRegex(rule.regex, rule.flags) : null;
+  }
+};
+
+const STAFF_MENTION_RULE = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    userIds: SNOWFLAKE_LIST,
+    roleIds: SNOWFLAKE_LIST,
+    countReplies: { type: 'boolean' }
+  },
+  validate: (rule) => (
+    (rule.userIds || []).length === 0 && (rule.roleIds || []).length === 0
+      ? 'userIds または roleIds を1つ以上指定してください'
+      : null
+  )
+};
+
+const RESOLUTION_RULE = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    emoji: { type: 'array', items: STRING, minItems: 1 },
+    userIds: SNOWFLAKE_LIST,
+    roleIds: SNOWFLAKE_LIST
+  },
+  required: ['emoji'],
+  validate: STAFF_MENTION_RULE.validate
+};
+
+const ESCALATION_TIER = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    afterHours: POSITIVE_NUMBER,
+    mentions: {
+      type: 'array',
+      items: { type: 'string', pattern: /^([UWS][A-Z0-9]+|here|channel)$/, patternDescription: 'Slack のユーザーID（U...）、ユーザーグループID（S...）、here、channel のいずれかを指定してください' }
+    },
+    slackChannelId: { type: 'string', pattern: /^[CG][A-Z0-9]+$/, patternDescription: 'Slack のチャンネルID（C...）を指定してください' },
+    broadcast: { type: 'boolean' }
+  },
+  required: ['afterHours']
+};
+
+// 検出通知のメンション
+const ALERT_MENTION = { type: 'string', pattern: /^([UWS][A-Z0-9]+|here|channel|none)$/, patternDescription: 'channel、here、none、Slack のユーザーグループID（S...）・ユーザーID（U...）のいずれかを指定してください' };
+const TIME_OF_DAY = { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternDescription: '時刻を HH:MM 形式（例: 22:00）で指定してください' };
+
+const ALERT_POLICY = {
+  type: 'object',
+  properties: {
+    mention: ALERT_MENTION,
+    digest: {
+      type: 'object',
+      properties: {
+        threshold: { type: 'integer', minimum: 2 },
+        windowMinutes: POSITIVE_NUMBER
+      }
+    },
+    quietHours: {
+      type: 'object',
+      properties: {
+        start: TIME_OF_DAY,
+        end: TIME_OF_DAY
+      },
+      required: ['start', 'end'],
+      validate: (quietHours) => (quietHours.start === quietHours.end ? 'start と end に同じ時刻は指定できません' : null)
+    },
+    urgentKeywords: { type: 'array', items: { oneOf: [STRING, KEYWORD_RULE] } },
+    urgentMention: ALERT_MENTION
+  }
+};
+
+// Slack のメッセージのテンプレート
+// レイアウトの "{{> 名前}}" はレイアウトごとに使用できる名前が決まっている
+function findPartials(value) {
+  if (typeof value === 'string') {
+    const partial = value.match(/^\{\{>\s*(\w+)\s*\}\}$/);
+    return partial ? [partial[1]] : [];
+  }
+  if (value && typeof value === 'object') {
+    return Object.values(value).flatMap(findPartials);
+  }
+  return [];
+}
+
+function messageLayout(name) {
+  return {
+    type: 'object',
+    properties: {
+      text: STRING,
+      blocks: { type: 'array', minItems: 1, items: { oneOf: [STRING, { type: 'object' }] } }
+    },
+    required: ['text', 'blocks'],
+    validate: (layout) => {
+      const unknown = findPartials(layout.blocks).filter(partial => !LAYOUT_PARTIALS[name].includes(partial));
+      return unknown.length > 0
+        ? `未知のブロック ${unknown.map(partial => `{{> ${partial}}}`).join(', ')} です（使用できるのは ${LAYOUT_PARTIALS[name].join(', ')}）`
+        : null;
+    }
+  };
+}
+
+const MESSAGES = {
+  type: 'object',
+  properties: {
+    locale: { type: 'string', pattern: new RegExp(`^(${Object.keys(LOCALES).join('|')})$`), patternDescription: `${Object.keys(LOCALES).join('、')} のいずれかを指定してください` },
+    strings: {
+      type: 'object',
+      properties: Object.fromEntries(listStringKeys().map(key => [key, STRING]))
+    },
+    layouts: {
+      type: 'object',
+      properties: Object.fromEntries(Object.keys(LAYOUT_PARTIALS).map(name => [name, messageLayout(name)]))
+    }
+  }
+};
+
+// 環境変数名（送信先の秘密情報は config.json に書かず、環境変数の名前で指定する）
+const ENV_NAME = { type: 'string', pattern: /^[A-Z][A-Z0-9_]*$/, patternDescription: '環境変数名（英大文字・数字・_）を指定してください' };
+const EMAIL_ADDRESS = { type: 'string', pattern: /^[^\s@<>]+@[^\s@<>]+$/, patternDescription: 'メールアドレスを指定してください' };
+
+// 送信先の種類ごとに使用できる項目
+const DESTINATION_OPTIONS = {
+  slack: ['channelId', 'botTokenEnv', 'webhookUrlEnv'],
+  webhook: ['url', 'urlEnv'],
+  teams: ['url', 'urlEnv'],
+  email: ['to', 'from', 'subjectPrefix']
+};
+
+const DESTINATION = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', pattern: new RegExp(`^(${Object.keys(DESTINATION_TYPES).join('|')})$`), patternDescription: `${Object.keys(DESTINATION_TYPES).join(' / ')} のいずれかを指定してください` },
+    channelId: ESCALATION_TIER.properties.slackChannelId,
+    botTokenEnv: ENV_NAME,
+    webhookUrlEnv: ENV_NAME,
+    url: { type: 'string', pattern: /^https?:\/\//, patternDescription: 'http:// または https:// で始まる URL を指定してください' },
+    urlEnv: ENV_NAME,
+    to: { type: 'array', items: EMAIL_ADDRESS, minItems: 1 },
+    from: EMAIL_ADDRESS,
+    subjectPrefix: STRING
+  },
+  required: ['type'],
+  validate: (destination) => {
+    const options = DESTINATION_OPTIONS[destination.type];
+    if (!options) {
+      return null;
+    }
+    const unsupported = Object.keys(destination).filter(key => key !== 'type' && !options.includes(key));
+    if (unsupported.length > 0) {
+      return `${unsupported.join(', ')} は type: ${destination.type} では使用できません`;
+    }
+    if (destination.type === 'slack' && !destination.channelId && !destination.webhookUrlEnv) {
+      return 'channelId（Web API）または webhookUrlEnv（Incoming Webhook）を指定してください';
+    }
+    if ((destination.type === 'webhook' || destination.type === 'teams') && !destination.url === !destination.urlEnv) {
+      return 'url または urlEnv のどちらか一方を指定してください';
+    }
+    if (destination.type === 'email' && (!destination.to || !destination.from)) {
+      return 'to と from を指定してください';
+    }
+    return null;
+  }
+};
+
+const ROUTE = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    kind: { type: 'string', pattern: new RegExp(`^(${Object.keys(NOTIFICATION_KINDS).join('|')})$`), patternDescription: `${Object.keys(NOTIFICATION_KINDS).join(' / ')} のいずれかを指定してください` },
+    guildIds: { type: 'array', items: SNOWFLAKE, minItems: 1 },
+    channels: { type: 'array', items: STRING, minItems: 1 },
+    keywordRules: { type: 'array', items: STRING, minItems: 1 },
+    destinations: { type: 'array', items: STRING, minItems: 1 }
+  },
+  required: ['kind', 'destinations'],
+  validate: (route) => (
+    route.kind === 'summary' && (route.guildIds || route.channels || route.keywordRules)
+      ? 'summary のルートには guildIds・channels・keywordRules を指定できません'
+      : null
+  )
+};
+
+// ルール項目（グローバル・サーバー・チャンネルで共通）
+const RULE_PROPERTIES = {
+  keywords: STRING_LIST,
+  keywordRules: { type: 'array', items: { oneOf: [STRING, KEYWORD_RULE] } },
+  excludeKeywords: { type: 'array', items: { oneOf: [STRING, EXCLUDE_RULE] } },
+  excludeUserIds: SNOWFLAKE_LIST,
+  excludeUsernames: STRING_LIST,
+  staffMentionRules: { type: 'array', items: STAFF_MENTION_RULE },
+  resolutionRules: { type: 'array', items: RESOLUTION_RULE }
+};
+
+// チャンネル指定（チャンネルID または チャンネル名の glob）
+const CHANNEL_PATTERN_LIST = STRING_LIST;
+
+const CHANNEL_OVERRIDE = {
+  type: 'object',
+  properties: {
+    match: STRING,
+    replace: { type: 'boolean' },
+    enabled: { type: 'boolean' },
+    ...RULE_PROPERTIES
+  },
+  required: ['match']
+};
+
+const GUILD_OVERRIDE = {
+  type: 'object',
+  properties: {
+    name: STRING,
+    replace: { type: 'boolean' },
+    includeChannels: CHANNEL_PATTERN_LIST,
+    excludeChannels: CHANNEL_PATTERN_LIST,
+    channelOverrides: { type: 'array', items: CHANNEL_OVERRIDE },
+    ...RULE_PROPERTIES
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    guildIds: { type: 'array', items: SNOWFLAKE },
+    ...RULE_PROPERTIES,
+    includeChannels: CHANNEL_PATTERN_LIST,
+    excludeChannels: CHANNEL_PATTERN_LIST,
+    guildOverrides: { type: 'object', keys: SNOWFLAKE, values: GUILD_OVERRIDE },
+    checkIntervalHours: POSITIVE_NUMBER,
+    initialBackfillHours: POSITIVE_NUMBER,
+    scanArchivedThreads: { type: 'boolean' },
+    archivedThreadLookbackHours: POSITIVE_NUMBER,
+    escalation: {
+      type: 'object',
+      properties: {
+        tiers: { type: 'array', items: ESCALATION_TIER },
+        expiredNotice: { type: 'boolean' }
+      }
+    },
+    destinations: { type: 'object', keys: STRING, values: DESTINATION },
+    routes: { type: 'array', items: ROUTE },
+    alertPolicy: ALERT_POLICY,
+    messages: MESSAGES,
+    gateway: {
+      type: 'object',
+      properties: {
+        catchUpOnConnect: { type: 'boolean' },
+        maintenanceIntervalMinutes: POSITIVE_NUMBER
+      }
+    },
+    concurrency: {
+      type: 'object',
+      properties: {
+        initial: POSITIVE_INTEGER,
+        min: POSITIVE_INTEGER,
+        max: POSITIVE_INTEGER
+      }
+    }
+  }
+};
+
+// 値の型の説明（エラーメッセージ用）
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return '配列';
+  return { string: '文字列', number: '数値', boolean: '真偽値', object: 'オブジェクト' }[typeof value] || typeof value;
+}
+
+const TYPE_NAMES = {
+  string: '文字列',
+  snowflake: 'Discord ID（数字の文字列）',
+  number: '数値',
+  integer: '整数',
+  boolean: '真偽値（true / false）',
+  array: '配列',
+  object: 'オブジェクト'
+};
+
+// 編集距離（未知のキーの候補提示用）
+function editDistance(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+// 未知のキーに近い既知のキーを探す
+function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const known of knownKeys) {
+    const distance = editDistance(key, known);
+    if (distance < bestDistance) {
+      best = known;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+// 型のチェック（一致しない場合はエラーメッセージ）
+function checkType(schema, value) {
+  switch (schema.type) {
+    case 'snowflake':
+      if (typeof value === 'number') {
+        return `${TYPE_NAMES.snowflake} である必要があります。数値のままだと桁落ちします（"${value}" のように引用符で囲んでください）`;
+      }
+      if (typeof value !== 'string' || !/^\d{17,20}$/.test(value)) {
+        return `${TYPE_NAMES.snowflake} である必要があります (値: ${JSON.stringify(value)})`;
+      }
+      return null;
+    case 'integer':
+      return Number.isInteger(value) ? null : `${TYPE_NAMES.integer} である必要があります (${describeType(value)}: ${JSON.stringify(value)})`;
+    case 'array':
+      return Array.isArray(value) ? null : `${TYPE_NAMES.array} である必要があります (${describeType(value)})`;
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? null
+        : `${TYPE_NAMES.object} である必要があります (${describeType(value)})`;
+    default:
+      return typeof value === schema.type ? null : `${TYPE_NAMES[schema.type]} である必要があります (${describeType(value)}: ${JSON.stringify(value)})`;
+  }
+}
+
+// スキーマに従って値を検証し、エラーを errors に追加
+function validateValue(schema, value, pathLabel, errors) {
+  if (schema.oneOf) {
+    // 型が一致する候補で検証（文字列かオブジェクトか）
+    const candidate = schema.oneOf.find(option => !checkType(option, value));
+    if (!candidate) {
+      errors.push(`${pathLabel}: ${schema.oneOf.map(option => TYPE_NAMES[option.type]).join(' または ')} である必要があります (${describeType(value)})`);
+      return;
+    }
+    validateValue(candidate, value, pathLabel, errors);
+    return;
+  }
+
+  const typeError = checkType(schema, value);
+  if (typeError) {
+    errors.push(`${pathLabel}: ${typeError}`);
+    return;
+  }
+
+  if (schema.type === 'string') {
+    if (schema.minLength && value.length < schema.minLength) {
+      errors.push(`${pathLabel}: 空文字列は指定できません`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      errors.push(`${pathLabel}: ${schema.patternDescription}`);
+    }
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum !== undefined && (value < schema.minimum || (schema.exclusiveMinimum && value === schema.minimum))) {
+      errors.push(`${pathLabel}: ${schema.minimum}${schema.exclusiveMinimum ? ' より大きい' : ' 以上の'}値を指定してください (値: ${value})`);
+    }
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${pathLabel}: ${schema.minItems}件以上指定してください`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${pathLabel}[${index}]`, errors));
+    }
+  }
+
+  if (schema.type === 'object') {
+    if (schema.properties) {
+      const knownKeys = Object.keys(schema.properties);
+      for (const key of Object.keys(value)) {
+        if (!schema.properties[key]) {
+          const suggestion = suggestKey(key, knownKeys);
+          errors.push(`${pathLabel ? `${pathLabel}.` : ''}${key}: 未知のキーです${suggestion ? `（${suggestion} の誤りではありませんか？）` : ''}`);
+          continue;
+        }
+        validateValue(schema.properties[key], value[key], `${pathLabel ? `${pathLabel}.` : ''}${key}`, errors);
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${pathLabel}: ${key} は必須です`);
+        }
+      }
+    }
+    if (schema.values) {
+      for (const [key, item] of Object.entries(value)) {
+        const keyError = checkType(schema.keys, key);
+        if (keyError) {
+          errors.push(`${pathLabel}.${key}: キーは ${keyError}`);
+        }
+        validateValue(schema.values, item, `${pathLabel}.${key}`, errors);
+      }
+    }
+    if (schema.validate) {
+      const message = schema.validate(value);
+      if (message) {
+        errors.push(`${pathLabel}: ${message}`);
+      }
+    }
+  }
+}
+
+// 設定されているキーワードルールの名前（グローバル・サーバー・チャンネル）
+// 名前のないルールは照合時に「ルールN」などの名前になるため、ルートでは名前を付けたルールのみ指定できる
+function collectKeywordRuleNames(fileConfig) {
+  const ruleSets = [fileConfig];
+  for (const override of Object.values(fileConfig.guildOverrides || {})) {
+    ruleSets.push(override, ...(override.channelOverrides || []));
+  }
+  const names = new Set();
+  for (const ruleSet of ruleSets) {
+    for (const rule of [...(ruleSet.keywords || []), ...(ruleSet.keywordRules || [])]) {
+      names.add(typeof rule === 'string' ? rule : rule.name);
+    }
+  }
+  return names;
+}
+
+// config.json の内容を検証
+function validateConfigFile(fileConfig) {
+  const errors = [];
+  const warnings = [];
+
+  validateValue(CONFIG_SCHEMA, fileConfig, '', errors);
+  if (errors.length > 0) {
+    return { errors, warnings };
+  }
+
+  // 項目間の整合性
+  const hasKeywords = (fileConfig.keywordRules || []).length > 0 || (fileConfig.keywords || []).length > 0;
+  const hasGuildKeywords = Object.values(fileConfig.guildOverrides || {}).some(override =>
+    (override.keywordRules || []).length > 0 || (override.keywords || []).length > 0
+  );
+  if (!hasKeywords) {
+    if (hasGuildKeywords) {
+      warnings.push('keywordRules / keywords が空です。guildOverrides でキーワードを設定したサーバー以外では何も検出されません');
+    } else {
+      errors.push('keywordRules / keywords が空です。このままでは何も検出されません');
+    }
+  }
+  if (fileConfig.keywordRules && fileConfig.keywordRules.length > 0 && fileConfig.keywords && fileConfig.keywords.length > 0) {
+    warnings.push('keywordRules が設定されているため keywords は使用されません');
+  }
+
+  const concurrency = fileConfig.concurrency || {};
+  if (concurrency.min && concurrency.max && concurrency.min > concurrency.max) {
+    errors.push(`concurrency: min (${concurrency.min}) が max (${concurrency.max}) より大きくなっています`);
+  }
+
+  const tiers = (fileConfig.escalation && fileConfig.escalation.tiers) || [];
+  tiers.forEach((tier, index) => {
+    if (tier.afterHours >= TRACKING_HOURS) {
+      warnings.push(`escalation.tiers[${index}]: afterHours (${tier.afterHours}) が追跡期間 (${TRACKING_HOURS}時間) 以上のため通知されません`);
+    }
+  });
+
+  const alertPolicy = fileConfig.alertPolicy || {};
+  if (alertPolicy.urgentMention && !alertPolicy.urgentKeywords) {
+    warnings.push('alertPolicy.urgentMention: urgentKeywords が設定されていないため使用されません');
+  }
+
+  const destinationNames = Object.keys(fileConfig.destinations || {});
+  const ruleNames = collectKeywordRuleNames(fileConfig);
+  if (destinationNames.includes(DEFAULT_DESTINATION)) {
+    errors.push(`destinations.${DEFAULT_DESTINATION}: ${DEFAULT_DESTINATION} は従来の環境変数（SLACK_*）の送信先の名前のため使用できません`);
+  }
+  (fileConfig.routes || []).forEach((route, index) => {
+    for (const name of route.destinations) {
+      if (name !== DEFAULT_DESTINATION && !destinationNames.includes(name)) {
+        errors.push(`routes[${index}].destinations: destinations に定義されていない送信先です (${name})`);
+      }
+    }
+    for (const ruleName of route.keywordRules || []) {
+      if (!ruleNames.has(ruleName)) {
+        warnings.push(`routes[${index}].keywordRules: 「${ruleName}」という名前のキーワードルールがありません`);
+      }
+    }
+  });
+
+  const guildIds = fileConfig.guildIds || [];
+  const duplicates = guildIds.filter((id, index) => guildIds.indexOf(id) !== index);
+  if (duplicates.length > 0) {
+    warnings.push(`guildIds: 重複しています (${Array.from(new Set(duplicates)).join(', ')})`);
+  }
+  for (const guildId of Object.keys(fileConfig.guildOverrides || {})) {
+    if (guildIds.length > 0 && !guildIds.includes(guildId)) {
+      warnings.push(`guildOverrides.${guildId}: guildIds に含まれていないサーバーです`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+// ローカルの URL か（http:// はモックサーバーなどのローカルの接続先のみ許可する）
+function isLocalUrl(url) {
+  return ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+// 接続先の URL の環境変数を検証（https://、またはローカルの http://）
+function validateUrlEnv(env, name, errors) {
+  let url;
+  try {
+    url = new URL(env[name]);
+  } catch (error) {
+    errors.push(`${name} は URL である必要があります (値: ${JSON.stringify(env[name])})`);
+    return null;
+  }
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocalUrl(url))) {
+    errors.push(`${name} は https:// で始まる URL である必要があります（http:// は localhost のみ）`);
+    return null;
+  }
+  return url;
+}
+
+// 環境変数を検証
+// requireSecrets が false の場合（設定チェックのみ）、トークン等の未設定は警告として扱う
+// serve が true の場合（--serve モード）、Slack Events の受信に必要な設定も検証する
+function validateEnv(env, { requireSecrets = true, serve = false } = {}) {
+  const errors = [];
+  const warnings = [];
+  const missing = requireSecrets ? errors : warnings;
+
+  if (!env.DISCORD_BOT_TOKEN) {
+    missing.push('DISCORD_BOT_TOKEN が設定されていません');
+  }
+
+  const hasWebApi = Boolean(env.SLACK_BOT_TOKEN && env.SLACK_CHANNEL_ID);
+  if (env.SLACK_BOT_TOKEN && !env.SLACK_CHANNEL_ID) {
+    errors.push('SLACK_BOT_TOKEN を使用する場合は SLACK_CHANNEL_ID も設定してください');
+  } else if (!env.SLACK_BOT_TOKEN && env.SLACK_CHANNEL_ID) {
+    errors.push('SLACK_CHANNEL_ID を使用する場合は SLACK_BOT_TOKEN も設定してください');
+  }
+  if (env.SLACK_BOT_TOKEN && !env.SLACK_BOT_TOKEN.startsWith('xoxb-')) {
+    warnings.push('SLACK_BOT_TOKEN が xoxb- で始まっていません（Bot User OAuth Token を設定してください）');
+  }
+  if (env.SLACK_WEBHOOK_URL) {
+    validateUrlEnv(env, 'SLACK_WEBHOOK_URL', errors);
+  }
+  // Discord・Slack の API の接続先の変更（モックサーバーでのテスト用）
+  for (const name of ['DISCORD_API_BASE_URL', 'SLACK_API_BASE_URL']) {
+    if (env[name] && validateUrlEnv(env, name, errors)) {
+      warnings.push(`${name} が設定されています（接続先: ${env[name]}）`);
+    }
+  }
+  if (!hasWebApi && env.SLACK_WEBHOOK_URL) {
+    warnings.push('Webhook モードではリアクション・返信のスレッド通知は行われません');
+    if (env.SLACK_SIGNING_SECRET) {
+      warnings.push('Webhook モードでは検出通知に操作ボタンは表示されません');
+    }
+  }
+
+  if (serve) {
+    if (!env.SLACK_SIGNING_SECRET) {
+      errors.push('--serve モードには SLACK_SIGNING_SECRET が必要です');
+    }
+    if (!hasWebApi) {
+      errors.push('--serve モードには SLACK_BOT_TOKEN と SLACK_CHANNEL_ID が必要です');
+    }
+  }
+  if (env.PORT && !/^\d+$/.test(env.PORT)) {
+    errors.push(`PORT はポート番号である必要があります (値: ${JSON.stringify(env.PORT)})`);
+  }
+
+  if (env.STORAGE_BACKEND && !STORAGE_BACKENDS.includes(env.STORAGE_BACKEND.toLowerCase())) {
+    errors.push(`STORAGE_BACKEND: ${STORAGE_BACKENDS.join(' / ')} のいずれかを指定してください (値: ${JSON.stringify(env.STORAGE_BACKEND)})`);
+  }
+
+  if (env.DISCORD_GUILD_IDS) {
+    env.DISCORD_GUILD_IDS.split(',').map(id => id.trim()).forEach((id, index) => {
+      if (!/^\d{17,20}$/.test(id)) {
+        errors.push(`DISCORD_GUILD_IDS[${index}]: Discord ID（数字）ではありません (値: ${JSON.stringify(id)})`);
+      }
+    });
+  }
+
+  return { errors, warnings };
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  validateConfigFile,
+  validateEnv
+};
@@ -0,0 +1,54 @@
+const { sendMail } = require('./smtp');
+
+// メールの送信先
+// SMTP サーバーは環境変数で指定する（すべてのメール送信先で共通）
+//   SMTP_HOST（必須）、SMTP_PORT（既定: SMTP_SECURE なら 465、それ以外は 587）
+//   SMTP_SECURE=true で SMTPS、それ以外は STARTTLS
+//   SMTP_USER / SMTP_PASS（認証が必要な場合）
+
+// メール本文（項目 → 本文 → リンクの順）
+function buildText(content) {
+  const lines = content.plain.fields.map(field => `${field.label}: ${field.value}`);
+  if (content.plain.text) {
+    lines.push('', content.plain.text);
+  }
+  if (content.plain.url) {
+    lines.push('', content.plain.url);
+  }
+  return lines.join('\n');
+}
+
+function createDestination(name, options, env) {
+  const smtp = {
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT ? Number(env.SMTP_PORT) : null,
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS
+  };
+
+  return {
+    name,
+    type: 'email',
+    describe: () => `メール (${options.to.join(', ')})`,
+    async send(kind, content) {
+      await sendMail(smtp, {
+        from: options.from,
+        to: options.to,
+        subject: `${options.subjectPrefix ? `${options.subjectPrefix} ` : ''}${content.plain.title}`,
+        text: buildText(content)
+      });
+      return null;
+    }
+  };
+}
+
+// 送信に必要な環境変数
+function requiredEnv() {
+  return ['SMTP_HOST'];
+}
+
+module.exports = {
+  createDestination,
+  requiredEnv
+};
@@ -0,0 +1,276 @@
+const { matchesChannel } = require('../rules');
+
+// 通知の送信先とルーティング
+//
+// config.json の例:
+//   "destinations": {
+//     "billing-a": { "type": "slack", "channelId": "C0123456789" },
+//     "ops-monitoring": { "type": "slack", "channelId": "C0987654321" },
+//     "accounting-mail": { "type": "email", "to": ["keiri@example.com"], "from": "monitor@example.com" }
+//   },
+//   "routes": [
+//     { "name": "クライアントAの引き落とし", "kind": "detection", "guildIds": ["1224342407425032304"], "keywordRules": ["引き落とし"], "destinations": ["billing-a", "accounting-mail"] },
+//     { "kind": "summary", "destinations": ["ops-monitoring"] }
+//   ]
+//
+// kind: detection（検出通知）/ summary（実行結果のサマリー）
+// 検出通知のダイジェスト（alertPolicy.digest）は、まとめた検出の detection のルートの送信先に kind: digest で送信する
+// 条件（guildIds・channels・keywordRules）をすべて満たす最初のルートの送信先に送信する
+// 一致するルートがなければ default（SLACK_BOT_TOKEN / SLACK_CHANNEL_ID / SLACK_WEBHOOK_URL の従来の送信先）に送信する
+//
+// 新しい種類の送信先を追加する場合は、createDestination(name, options, env) で
+// { name, type, describe(), send(kind, content) } を返し、requiredEnv(options) で必要な環境変数を返すモジュールを作成し、
+// TYPES に登録する（send は Promise を返す。投稿を後から参照できる場合は { channel, ts } を返す）
+//
+// content の形式:
+//   {
+//     slack: { text, blocks },
+//     plain: { title, text, fields: [{ label, value }], url, urlLabel },（Slack 以外の送信先用）
+//     data: 検出したメッセージ・実行結果の詳細（Webhook 用）
+//   }
+
+const TYPES = {
+  slack: () => require('./slack'),
+  webhook: () => require('./webhook'),
+  teams: () => require('./teams'),
+  email: () => require('./email')
+};
+
+const KINDS = {
+  detection: '検出通知',
+  summary: '実行結果のサマリー'
+};
+
+// 従来の環境変数による送信先の名前
+const DEFAULT_DESTINATION = 'default';
+
+// 従来の環境変数による送信先（未設定なら null）
+function defaultDestinationOptions(env) {
+  if (env.SLACK_BOT_TOKEN && env.SLACK_CHANNEL_ID) {
+    return { type: 'slack', channelId: env.SLACK_CHANNEL_ID };
+  }
+  if (env.SLACK_WEBHOOK_URL) {
+    return { type: 'slack', webhookUrlEnv: 'SLACK_WEBHOOK_URL' };
+  }
+  return null;
+}
+
+// default を含むすべての送信先の設定
+function listDestinationOptions(config, env) {
+  const defaults = defaultDestinationOptions(env);
+  return {
+    ...(defaults ? { [DEFAULT_DESTINATION]: defaults } : {}),
+    ...config.destinations
+  };
+}
+
+// 条件のないルート（その種類のすべての通知に一致する）か
+function isCatchAllRoute(route) {
+  return !route.guildIds && !route.channels && !route.keywordRules;
+}
+
+// ルートの条件に一致するか
+// context: { guildId, channel: { id, name, parentId, parentName }, keywordRule }（サマリーは空）
+function matchesRoute(route, kind, context) {
+  if (route.kind !== kind) {
+    return false;
+  }
+  if (route.guildIds && !route.guildIds.includes(context.guildId)) {
+    return false;
+  }
+  if (route.channels && !(context.channel && route.channels.some(pattern => matchesChannel(pattern, context.channel)))) {
+    return false;
+  }
+  if (route.keywordRules && !route.keywordRules.includes(context.keywordRule)) {
+    return false;
+  }
+  return true;
+}
+
+// 送信先の名前を選択
+function selectDestinations(config, kind, context, destinations) {
+  const route = config.routes.find(candidate => matchesRoute(candidate, kind, context));
+  if (route) {
+    return route.destinations;
+  }
+  return destinations.has(DEFAULT_DESTINATION) ? [DEFAULT_DESTINATION] : [];
+}
+
+// 操作ボタンを除いたメッセージ
+function withoutActions(message) {
+  return { ...message, blocks: (message.blocks || []).filter(block => block.type !== 'actions') };
+}
+
+// 送信先の環境変数とルートを検証（config.json のスキーマ検証の後に行う）
+// missing: 環境変数の未設定（設定チェックのみの場合は警告として扱う）
+function validateDestinations(config, env) {
+  const missing = [];
+  const warnings = [];
+
+  for (const [name, options] of Object.entries(config.destinations)) {
+    for (const envName of TYPES[options.type]().requiredEnv(options)) {
+      if (!env[envName]) {
+        missing.push(`destinations.${name}: ${envName} が設定されていません`);
+      }
+    }
+  }
+
+  if (defaultDestinationOptions(env)) {
+    return { missing, warnings };
+  }
+  const defaultMessage = 'SLACK_BOT_TOKEN と SLACK_CHANNEL_ID、または SLACK_WEBHOOK_URL が設定されていません';
+  if (Object.keys(config.destinations).length === 0) {
+    missing.push(defaultMessage);
+    return { missing, warnings };
+  }
+  config.routes.forEach((route, index) => {
+    if (route.destinations.includes(DEFAULT_DESTINATION)) {
+      missing.push(`routes[${index}]: 送信先 ${DEFAULT_DESTINATION} を使用するには SLACK_BOT_TOKEN と SLACK_CHANNEL_ID、または SLACK_WEBHOOK_URL を設定してください`);
+    }
+  });
+  for (const [kind, label] of Object.entries(KINDS)) {
+    if (!config.routes.some(route => route.kind === kind && isCatchAllRoute(route))) {
+      warnings.push(`routes に一致しない${label}は送信されません（${defaultMessage}）`);
+    }
+  }
+  return { missing, warnings };
+}
+
+// --dry-run: 送信せずに送信する内容をログに表示する
+// 送信先の選択（routes）は通常どおり行う。投稿の ts がないため、新しい検出はスレッドの追跡対象にならない
+// 送信先の環境変数がなくても実行できるよう、送信先が1つもない場合は default に送信したものとして扱う
+function withDryRun(notifier) {
+  const print = (label, lines) => {
+    console.log(`    📝 [dry-run] ${label}`);
+    lines.filter(Boolean).forEach(line => console.log(`        ${String(line).replace(/\n/g, '\n        ')}`));
+  };
+
+  const sendTo = async (names, kind, content) => {
+    const targets = names.length === 0 && notifier.destinations.size === 0 ? [DEFAULT_DESTINATION] : names;
+    print(`${targets.join(', ') || '送信先なし'} に送信 (${kind}): ${content.plain.title}`, [
+      ...content.plain.fields.map(field => `${field.label}: ${field.value}`),
+      content.plain.text,
+      content.plain.url
+    ]);
+    return targets.map(name => ({ name, posted: null }));
+  };
+
+  return {
+    ...notifier,
+    describe() {
+      const lines = notifier.describe();
+      return (lines.length > 0 ? lines : [`${DEFAULT_DESTINATION}: 未設定`]).map(line => `${line}（--dry-run: 送信しません）`);
+    },
+    tracksThreads() {
+      return false;
+    },
+    send(kind, content, context = {}) {
+      return sendTo(notifier.route(kind, context), kind, content);
+    },
+    sendTo,
+    async postThreadReply(channel, threadTs, message) {
+      print(`スレッドに投稿 (${channel} ${threadTs})`, [message.text]);
+    },
+    async postToChannel(channel, message) {
+      print(`${channel} に投稿`, [message.text]);
+    },
+    async updateMessage(channel, ts, message) {
+      print(`元のメッセージを更新 (${channel} ${ts})`, [message.text]);
+    }
+  };
+}
+
+// 通知クライアントを作成
+// 検出通知・サマリーは send() でルートの送信先に送信する
+// スレッド返信・メッセージの更新（postThreadReply / postToChannel / updateMessage）は、
+// そのチャンネルの Slack 送信先（なければ default、最初の Web API の送信先の順）の Bot Token で行う
+// SLACK_SIGNING_SECRET があれば Slack の検出通知に操作ボタンを表示する（ボタンの処理は --serve モードで行う）
+// config.dryRun が true の場合は送信しない（--dry-run）
+function createNotifier(config, env = process.env) {
+  const destinations = new Map(
+    Object.entries(listDestinationOptions(config, env))
+      .map(([name, options]) => [name, TYPES[options.type]().createDestination(name, options, env)])
+  );
+  const apiDestinations = [...destinations.values()].filter(destination => destination.api);
+
+  const apiFor = (channel) => {
+    const destination = apiDestinations.find(candidate => candidate.channelId === channel) || apiDestinations[0];
+    if (!destination) {
+      throw new Error('Slack の Web API の送信先がないため、スレッド返信・メッセージの更新はできません');
+    }
+    return destination.api;
+  };
+
+  // ルートの送信先の名前
+  const route = (kind, context = {}) => selectDestinations(config, kind, context, destinations);
+
+  // 指定した送信先に送信（送信先ごとに結果を返し、失敗しても残りの送信先には送信する）
+  // 操作ボタンは最初に投稿できた Slack Web API の送信先（スレッドを追跡する投稿）にのみ表示する
+  // 戻り値: [{ name, posted: { channel, ts } | null, error }]
+  const sendTo = async (names, kind, content) => {
+    const results = [];
+    let threadPosted = false;
+    for (const name of names) {
+      const destination = destinations.get(name);
+      const tracksThread = Boolean(destination.api) && !threadPosted;
+      try {
+        const posted = await destination.send(kind, tracksThread ? content : { ...content, slack: withoutActions(content.slack) });
+        threadPosted = threadPosted || tracksThread;
+        results.push({ name, posted });
+      } catch (error) {
+        results.push({ name, posted: null, error });
+      }
+    }
+    return results;
+  };
+
+  const notifier = {
+    destinations,
+    supportsThreads: apiDestinations.length > 0,
+    interactive: Boolean(config.slackSigningSecret) && apiDestinations.length > 0,
+    // Slack に送信するメッセージのテンプレート（config.json の messages）
+    templates: config.templates,
+
+    // 送信先の一覧（起動時のログ用）
+    describe() {
+      return [...destinations.values()].map(destination => `${destination.name}: ${destination.describe()}`);
+    },
+
+    route,
+
+    // Slack の Web API の送信先か（投稿のスレッドを追跡できる）
+    tracksThreads(name) {
+      return Boolean(destinations.get(name).api);
+    },
+
+    // ルートの送信先に送信
+    send(kind, content, context = {}) {
+      return sendTo(route(kind, context), kind, content);
+    },
+
+    sendTo,
+
+    postThreadReply(channel, threadTs, message) {
+      return apiFor(channel).postThreadReply(channel, threadTs, message);
+    },
+
+    // 通知先とは別のチャンネルへの投稿（エスカレーション先など）
+    postToChannel(channel, message) {
+      return apiFor(channel).postToChannel(channel, message);
+    },
+
+    updateMessage(channel, ts, message) {
+      return apiFor(channel).updateMessage(channel, ts, message);
+    }
+  };
+
+  return config.dryRun ? withDryRun(notifier) : notifier;
+}
+
+module.exports = {
+  TYPES,
+  KINDS,
+  DEFAULT_DESTINATION,
+  validateDestinations,
+  createNotifier
+};
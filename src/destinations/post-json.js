@@ -0,0 +1,49 @@
+const http = require('http');
+const https = require('https');
+
+// JSON を POST する（Webhook 系の送信先で共通）
+// 2xx 以外のステータスはエラーにする（Teams のワークフローは 202 を返す）
+function postJson(url, body, label) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const payload = JSON.stringify(body);
+
+    const options = {
+      hostname: target.hostname,
+      port: target.port || undefined,
+      path: `${target.pathname}${target.search}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+      }
+    };
+
+    const req = (target.protocol === 'http:' ? http : https).request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(data);
+        } else {
+          reject(new Error(`${label} Error: ${res.statusCode} - ${data.substring(0, 200)}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
+module.exports = {
+  postJson
+};
@@ -0,0 +1,145 @@
+const http = require('http');
+const https = require('https');
+const { postJson } = require('./post-json');
+
+// Slack の送信先
+// - channelId を指定すると Bot Token（botTokenEnv、既定: SLACK_BOT_TOKEN）の chat.postMessage で投稿する
+//   （投稿の ts が返るため、リアクション・返信のスレッド通知とメッセージの更新が可能）
+// - channelId がなければ Incoming Webhook（webhookUrlEnv）に投稿する（ts を返さないためスレッド返信不可）
+// 別のワークスペースに送信する場合は、そのワークスペースの Bot Token を別の環境変数に設定して botTokenEnv で指定する
+
+// Web API のベースURL（モックサーバーなどに接続する場合は SLACK_API_BASE_URL で変更する。http:// も可）
+const DEFAULT_API_BASE_URL = 'https://slack.com/api';
+
+// Slack通知送信（Incoming Webhook）
+function sendSlackNotification(webhookUrl, message) {
+  return postJson(webhookUrl, message, 'Slack API');
+}
+
+// Slack Web API 呼び出し（Bot Token 認証）
+function slackApiRequest(method, token, body) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const base = new URL(process.env.SLACK_API_BASE_URL || DEFAULT_API_BASE_URL);
+
+    const options = {
+      hostname: base.hostname,
+      port: base.port || undefined,
+      path: `${base.pathname.replace(/\/$/, '')}/${method}`,
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload)
+      }
+    };
+
+    const req = (base.protocol === 'http:' ? http : https).request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`Slack API Error: ${res.statusCode} - ${data}`));
+          return;
+        }
+
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          reject(new Error(`Slack API Error: ${method} - 不正なレスポンス: ${data}`));
+          return;
+        }
+
+        // Web API は HTTP 200 でも ok: false でエラーを返す
+        if (!parsed.ok) {
+          reject(new Error(`Slack API Error: ${method} - ${parsed.error}`));
+          return;
+        }
+
+        resolve(parsed);
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    req.write(payload);
+    req.end();
+  });
+}
+
+// Slack Web API クライアント（Bot Token ごと）
+// 投稿は chat.postMessage（ts を返すためスレッド返信・メッセージの更新が可能）、更新は chat.update で行う
+function createSlackApiClient(token, defaultChannel) {
+  const post = async (body) => {
+    const response = await slackApiRequest('chat.postMessage', token, body);
+    return { channel: response.channel, ts: response.ts };
+  };
+
+  return {
+    postMessage(message) {
+      return post({ channel: defaultChannel, ...message });
+    },
+
+    postThreadReply(channel, threadTs, message) {
+      return post({ channel: channel || defaultChannel, thread_ts: threadTs, ...message });
+    },
+
+    // 通知先とは別のチャンネルへの投稿（エスカレーション先など）
+    postToChannel(channel, message) {
+      return post({ channel, ...message });
+    },
+
+    async updateMessage(channel, ts, message) {
+      await slackApiRequest('chat.update', token, {
+        channel,
+        ts,
+        ...message
+      });
+    }
+  };
+}
+
+// 送信先を作成
+// 戻り値の api（Web API の場合のみ）はスレッド返信・メッセージの更新に使用する
+function createDestination(name, options, env) {
+  if (options.channelId) {
+    const api = createSlackApiClient(env[options.botTokenEnv || 'SLACK_BOT_TOKEN'], options.channelId);
+    return {
+      name,
+      type: 'slack',
+      channelId: options.channelId,
+      api,
+      describe: () => `Slack Web API (chat.postMessage → ${options.channelId})`,
+      send: (kind, content) => api.postMessage(content.slack)
+    };
+  }
+
+  return {
+    name,
+    type: 'slack',
+    channelId: null,
+    api: null,
+    describe: () => 'Slack Incoming Webhook',
+    async send(kind, content) {
+      await sendSlackNotification(env[options.webhookUrlEnv], content.slack);
+      return { channel: null, ts: null };
+    }
+  };
+}
+
+// 送信に必要な環境変数
+function requiredEnv(options) {
+  return [options.channelId ? options.botTokenEnv || 'SLACK_BOT_TOKEN' : options.webhookUrlEnv];
+}
+
+module.exports = {
+  createDestination,
+  requiredEnv
+};
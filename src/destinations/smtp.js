@@ -0,0 +1,166 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// SMTP クライアント（メール送信先用の最小実装）
+// - SMTPS（secure: true、通常 465 番）または STARTTLS（通常 587 番）で暗号化する
+// - 認証は AUTH PLAIN のみ
+// - 本文は UTF-8 のテキスト（base64）
+
+// 応答を待つ時間
+const SMTP_TIMEOUT_MS = 30000;
+
+// 接続から SMTP の応答（複数行の応答は最終行まで）を読み取る
+function createResponseReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+  let failure = null;
+
+  const flush = () => {
+    if (!waiting) {
+      return;
+    }
+    if (failure) {
+      waiting.reject(failure);
+      waiting = null;
+      return;
+    }
+    // 最終行は「コード + 空白」、継続行は「コード + -」
+    const lastIndex = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (lastIndex === -1) {
+      return;
+    }
+    const responseLines = lines.slice(0, lastIndex + 1);
+    lines = lines.slice(lastIndex + 1);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve({
+      code: Number(responseLines[lastIndex].substring(0, 3)),
+      lines: responseLines.map(line => line.substring(4))
+    });
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    const parts = buffer.split('\r\n');
+    buffer = parts.pop();
+    lines.push(...parts);
+    flush();
+  };
+  const onError = (error) => {
+    failure = error;
+    flush();
+  };
+  const onClose = () => onError(new Error('SMTP サーバーとの接続が切断されました'));
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('close', onClose);
+
+  return {
+    read() {
+      return new Promise((resolve, reject) => {
+        waiting = { resolve, reject };
+        flush();
+      });
+    },
+
+    // STARTTLS で暗号化した接続に切り替える前に読み取りを解除する
+    detach() {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+    }
+  };
+}
+
+// 件名などのヘッダーの値（UTF-8 の encoded-word）
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// メール本文（ヘッダーと base64 の本文）
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomBytes(16).toString('hex')}@${from.split('@')[1]}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// メールを送信
+// smtp: { host, port, secure, user, pass }
+// mail: { from, to: [宛先], subject, text }
+async function sendMail(smtp, mail) {
+  const port = smtp.port || (smtp.secure ? 465 : 587);
+  let socket = smtp.secure
+    ? tls.connect({ host: smtp.host, port, servername: smtp.host })
+    : net.connect({ host: smtp.host, port });
+  socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP サーバーの応答がタイムアウトしました')));
+  let reader = createResponseReader(socket);
+
+  // コマンドを送信し、期待するコードの応答を待つ
+  const command = async (line, expected, label = line.split(' ')[0]) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const response = await reader.read();
+    if (!expected.includes(response.code)) {
+      throw new Error(`SMTP Error: ${label} - ${response.code} ${response.lines.join(' ')}`);
+    }
+    return response;
+  };
+
+  try {
+    await command(null, [220], '接続');
+    let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!smtp.secure) {
+      if (!hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        throw new Error('SMTP サーバーが STARTTLS に対応していません（暗号化されない接続では送信しません）');
+      }
+      await command('STARTTLS', [220]);
+      reader.detach();
+      const plainSocket = socket;
+      socket = tls.connect({ socket: plainSocket, servername: smtp.host });
+      socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP サーバーの応答がタイムアウトしました')));
+      reader = createResponseReader(socket);
+      await new Promise((resolve, reject) => {
+        socket.once('secureConnect', resolve);
+        socket.once('error', reject);
+      });
+      hello = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (smtp.user) {
+      const credentials = Buffer.from(`\0${smtp.user}\0${smtp.pass || ''}`, 'utf8').toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+    }
+
+    await command(`MAIL FROM:<${mail.from}>`, [250], 'MAIL FROM');
+    for (const recipient of mail.to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354]);
+    // 行頭の「.」は終端と区別するため「..」にする
+    const message = buildMessage(mail).replace(/^\./gm, '..');
+    await command(`${message}\r\n.`, [250], 'DATA');
+    await command('QUIT', [221]);
+  } finally {
+    socket.destroy();
+  }
+}
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,56 @@
+const { postJson } = require('./post-json');
+
+// Microsoft Teams の送信先
+// Teams のワークフロー（「Webhook 要求を受信したらチャネルに投稿する」）の URL に Adaptive Card を POST する
+// https://learn.microsoft.com/microsoftteams/platform/webhooks-and-connectors/how-to/add-incoming-webhook
+
+// Adaptive Card を作成
+function buildCard(content) {
+  const body = [
+    { type: 'TextBlock', text: content.plain.title, weight: 'Bolder', size: 'Medium', wrap: true }
+  ];
+  if (content.plain.fields.length > 0) {
+    body.push({ type: 'FactSet', facts: content.plain.fields.map(field => ({ title: field.label, value: field.value })) });
+  }
+  if (content.plain.text) {
+    body.push({ type: 'TextBlock', text: content.plain.text, wrap: true });
+  }
+
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body,
+        actions: content.plain.url
+          ? [{ type: 'Action.OpenUrl', title: content.plain.urlLabel, url: content.plain.url }]
+          : []
+      }
+    }]
+  };
+}
+
+function createDestination(name, options, env) {
+  return {
+    name,
+    type: 'teams',
+    describe: () => `Microsoft Teams (${options.url ? new URL(options.url).hostname : options.urlEnv})`,
+    async send(kind, content) {
+      await postJson(options.url || env[options.urlEnv], buildCard(content), 'Teams');
+      return null;
+    }
+  };
+}
+
+// 送信に必要な環境変数
+function requiredEnv(options) {
+  return options.url ? [] : [options.urlEnv];
+}
+
+module.exports = {
+  createDestination,
+  requiredEnv
+};
@@ -0,0 +1,40 @@
+const { postJson } = require('./post-json');
+
+// 汎用 Webhook の送信先
+// 以下の JSON を POST する（社内システム・自動化ツールとの連携用）
+//   {
+//     kind: "detection" | "digest" | "summary",
+//     title, text,
+//     fields: [{ label, value }],
+//     url: 元の Discord メッセージ（検出通知のみ）,
+//     data: 検出したメッセージ・実行結果の詳細
+//   }
+
+function createDestination(name, options, env) {
+  return {
+    name,
+    type: 'webhook',
+    describe: () => `Webhook (${options.url ? new URL(options.url).hostname : options.urlEnv})`,
+    async send(kind, content) {
+      await postJson(options.url || env[options.urlEnv], {
+        kind,
+        title: content.plain.title,
+        text: content.plain.text,
+        fields: content.plain.fields,
+        url: content.plain.url || null,
+        data: content.data
+      }, 'Webhook');
+      return null;
+    }
+  };
+}
+
+// 送信に必要な環境変数
+function requiredEnv(options) {
+  return options.url ? [] : [options.urlEnv];
+}
+
+module.exports = {
+  createDestination,
+  requiredEnv
+};
@@ -0,0 +1,310 @@
+const http = require('http');
+const https = require('https');
+
+// Discord API の共通リクエスト層
+// - X-RateLimit-Bucket / Remaining / Reset-After によるバケット単位の待機
+// - 429 の retry_after とグローバルレート制限の遵守
+// - 5xx・ネットワークエラーのバックオフ付きリトライ
+// - ステータスコード・ルート・リトライ可否を持つ DiscordApiError
+// - レスポンスの記録・再生（--record / --replay。discord-fixtures.js）
+
+// API のベースURL（モックサーバーなどに接続する場合は DISCORD_API_BASE_URL で変更する。http:// も可）
+const DEFAULT_API_BASE_URL = 'https://discord.com/api/v10';
+
+function apiBaseUrl() {
+  return new URL(process.env.DISCORD_API_BASE_URL || DEFAULT_API_BASE_URL);
+}
+
+// リトライ設定
+const MAX_RETRIES = 3;              // 5xx・ネットワークエラーの最大リトライ回数
+const MAX_RATE_LIMIT_RETRIES = 10;  // 429 の最大リトライ回数
+const BASE_BACKOFF_MS = 1000;       // バックオフの基準時間
+const MAX_BACKOFF_MS = 30000;
+// 同じリクエストを繰り返しても結果が変わらないメソッド。これ以外（POST・PATCH）は
+// 送信済みの可能性があるタイムアウト・5xx ではリトライしない（二重投稿を防ぐ）
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+const REQUEST_TIMEOUT_MS = 30000;
+
+// グローバルレート制限（Bot全体で毎秒50リクエスト）
+const GLOBAL_LIMIT_PER_SECOND = 50;
+
+// Discord API エラー
+class DiscordApiError extends Error {
+  constructor(message, { status = null, route = null, retryable = false, body = null } = {}) {
+    super(message);
+    this.name = 'DiscordApiError';
+    this.status = status;       // HTTPステータスコード（ネットワークエラーの場合は null）
+    this.route = route;         // レート制限バケットのキーとなるルート
+    this.retryable = retryable; // 時間をおけば成功する可能性があるか
+    this.body = body;
+  }
+}
+
+// ルート → バケットID、バケットID → 残り回数とリセット時刻
+const routeBuckets = new Map();
+const bucketStates = new Map();
+
+// グローバル制限の状態
+let globalBlockedUntil = 0;
+let globalWindowStart = 0;
+let globalWindowCount = 0;
+
+// レート制限の観測値（スケジューラなどから参照）
+const rateLimitListeners = [];
+
+// レスポンスの記録・再生（useFixtures() で設定）
+// record(method, path, response): 成功・4xx のレスポンスを記録
+// replay(method, path): 記録したレスポンスを返す（Discord には接続しない。記録がなければ null）
+let fixtures = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// パスをレート制限のルートキーに変換
+// channels / guilds / webhooks の直後のIDはメジャーパラメータとして残し、それ以外のIDとクエリは除去する
+function toRouteKey(method, path) {
+  const pathname = path.split('?')[0];
+  const normalized = pathname.replace(/\/(\d{16,20})/g, (segment, id, offset) => {
+    const before = pathname.slice(0, offset);
+    return /\/(channels|guilds|webhooks)$/.test(before) ? segment : '/:id';
+  });
+  // リアクションの絵文字は同一バケット
+  return `${method} ${normalized.replace(/\/reactions\/[^/]+/, '/reactions/:emoji')}`;
+}
+
+// バックオフ時間（指数バックオフ + ジッター）
+function backoffDelay(attempt) {
+  const exponential = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return Math.round(exponential / 2 + Math.random() * exponential / 2);
+}
+
+// グローバル制限・バケット制限に従って送信可能になるまで待機
+async function waitForRateLimit(routeKey) {
+  while (true) {
+    const now = Date.now();
+
+    if (globalBlockedUntil > now) {
+      await sleep(globalBlockedUntil - now);
+      continue;
+    }
+
+    // 1秒ごとのウィンドウでグローバル上限を超えないよう調整
+    if (now - globalWindowStart >= 1000) {
+      globalWindowStart = now;
+      globalWindowCount = 0;
+    }
+    if (globalWindowCount >= GLOBAL_LIMIT_PER_SECOND) {
+      notifyRateLimit({ type: 'throttled', routeKey });
+      await sleep(globalWindowStart + 1000 - now);
+      continue;
+    }
+
+    const bucketId = routeBuckets.get(routeKey);
+    const bucket = bucketId ? bucketStates.get(bucketId) : null;
+    if (bucket && bucket.remaining <= 0 && bucket.resetAt > now) {
+      await sleep(bucket.resetAt - now);
+      continue;
+    }
+
+    globalWindowCount++;
+    if (bucket) {
+      // 同時実行中のリクエストも残り回数を消費する
+      bucket.remaining--;
+    }
+    return;
+  }
+}
+
+// レスポンスヘッダからバケット状態を更新
+function updateBucket(routeKey, headers) {
+  const bucketId = headers['x-ratelimit-bucket'];
+  if (!bucketId) {
+    return;
+  }
+
+  const remaining = Number(headers['x-ratelimit-remaining']);
+  const resetAfter = Number(headers['x-ratelimit-reset-after']);
+  const limit = Number(headers['x-ratelimit-limit']);
+
+  routeBuckets.set(routeKey, bucketId);
+  bucketStates.set(bucketId, {
+    limit: Number.isFinite(limit) ? limit : null,
+    remaining: Number.isFinite(remaining) ? remaining : 1,
+    resetAt: Date.now() + (Number.isFinite(resetAfter) ? resetAfter * 1000 : 0)
+  });
+
+  notifyRateLimit({ type: 'bucket', routeKey, bucketId, limit, remaining, resetAfter });
+}
+
+// レート制限の観測値を通知
+function notifyRateLimit(event) {
+  for (const listener of rateLimitListeners) {
+    listener(event);
+  }
+}
+
+// レート制限の観測値を購読（戻り値: 購読を解除する関数）
+function onRateLimit(listener) {
+  rateLimitListeners.push(listener);
+  return () => {
+    const index = rateLimitListeners.indexOf(listener);
+    if (index !== -1) {
+      rateLimitListeners.splice(index, 1);
+    }
+  };
+}
+
+// 1回分のHTTPリクエスト
+function sendOnce(path, token, method, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const base = apiBaseUrl();
+    const options = {
+      hostname: base.hostname,
+      port: base.port || undefined,
+      path: `${base.pathname.replace(/\/$/, '')}${path}`,
+      method: method,
+      headers: {
+        'Authorization': `Bot ${token}`,
+        'Content-Type': 'application/json'
+      }
+    };
+    if (payload !== null) {
+      options.headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+
+    const req = (base.protocol === 'http:' ? http : https).request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        let parsed = data;
+        try {
+          parsed = data ? JSON.parse(data) : null;
+        } catch (e) {
+          // JSON以外のレスポンスは文字列のまま
+        }
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: parsed, raw: data });
+      });
+    });
+
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`timeout (${REQUEST_TIMEOUT_MS}ms)`));
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    if (payload !== null) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+// レスポンスの記録・再生を設定（null で解除）
+function useFixtures(handler) {
+  fixtures = handler;
+}
+
+// 記録したレスポンスを返す（レート制限の待機・リトライは行わない）
+function replayRequest(path, method, routeKey) {
+  const response = fixtures.replay(method, path);
+  if (!response) {
+    throw new DiscordApiError(`Discord API Error: 記録されたレスポンスがありません (${method} ${path})`, { route: routeKey });
+  }
+  if (response.statusCode >= 200 && response.statusCode < 300) {
+    return response.body;
+  }
+  throw new DiscordApiError(`Discord API Error: ${response.statusCode} - ${response.raw}`, {
+    status: response.statusCode,
+    route: routeKey,
+    body: response.body
+  });
+}
+
+// Discord API リクエスト（レート制限・リトライ対応）
+async function discordRequest(path, token, method = 'GET', body) {
+  const routeKey = toRouteKey(method, path);
+  if (fixtures && fixtures.replay) {
+    return replayRequest(path, method, routeKey);
+  }
+  let attempt = 0;
+  let rateLimitAttempt = 0;
+  const idempotent = IDEMPOTENT_METHODS.has(method);
+
+  while (true) {
+    await waitForRateLimit(routeKey);
+
+    let response;
+    try {
+      response = await sendOnce(path, token, method, body);
+    } catch (error) {
+      // ネットワークエラー・タイムアウト（接続を拒否された場合はリクエストが届いていない）
+      if ((idempotent || error.code === 'ECONNREFUSED') && attempt < MAX_RETRIES) {
+        await sleep(backoffDelay(attempt++));
+        continue;
+      }
+      throw new DiscordApiError(`Discord API Error: ${error.message} (${routeKey})`, {
+        route: routeKey,
+        retryable: true
+      });
+    }
+
+    const { statusCode, headers } = response;
+    updateBucket(routeKey, headers);
+
+    // 再試行するレスポンス（429・5xx）は記録しない
+    if (fixtures && fixtures.record && statusCode !== 429 && statusCode < 500) {
+      fixtures.record(method, path, response);
+    }
+
+    if (statusCode >= 200 && statusCode < 300) {
+      return response.body;
+    }
+
+    if (statusCode === 429) {
+      const retryAfter = Number((response.body && response.body.retry_after) || headers['retry-after'] || 1);
+      const isGlobal = Boolean((response.body && response.body.global) || headers['x-ratelimit-global']);
+      const waitMs = Math.ceil(retryAfter * 1000);
+
+      if (isGlobal) {
+        globalBlockedUntil = Date.now() + waitMs;
+      } else {
+        const bucketId = routeBuckets.get(routeKey);
+        if (bucketId) {
+          bucketStates.set(bucketId, { ...bucketStates.get(bucketId), remaining: 0, resetAt: Date.now() + waitMs });
+        }
+      }
+      notifyRateLimit({ type: '429', routeKey, global: isGlobal, retryAfter, scope: headers['x-ratelimit-scope'] || null });
+
+      if (rateLimitAttempt++ < MAX_RATE_LIMIT_RETRIES) {
+        if (!isGlobal) {
+          await sleep(waitMs);
+        }
+        continue;
+      }
+    } else if (statusCode >= 500 && idempotent && attempt < MAX_RETRIES) {
+      await sleep(backoffDelay(attempt++));
+      continue;
+    }
+
+    throw new DiscordApiError(`Discord API Error: ${statusCode} - ${response.raw}`, {
+      status: statusCode,
+      route: routeKey,
+      retryable: statusCode === 429 || statusCode >= 500,
+      body: response.body
+    });
+  }
+}
+
+module.exports = {
+  DiscordApiError,
+  discordRequest,
+  onRateLimit,
+  useFixtures,
+  toRouteKey
+};
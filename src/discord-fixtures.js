@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeTrackedData } = require('./storage');
+
+// Discord API のレスポンスの記録・再生（--record / --replay）
+// 記録した実行と同じリクエストを Discord に接続せずに再生し、検出結果を expected.json と比較する
+//
+// フィクスチャのディレクトリ:
+//   run.json       実行開始時刻と、実行開始時の追跡データ（ウォーターマーク・追跡中のメッセージ）
+//   expected.json  記録した実行の検出結果（--replay で比較する）
+//   responses/     リクエストごとのレスポンス（{ method, path, status, body }）
+
+const RUN_FILE = 'run.json';
+const EXPECTED_FILE = 'expected.json';
+const RESPONSES_DIR = 'responses';
+
+// リクエストのファイル名（パスを読める形に残し、長さと衝突はハッシュで解決する）
+function responseFileName(method, requestPath) {
+  const key = `${method} ${requestPath}`;
+  const readable = `${method}${requestPath}`.replace(/[^\w.-]+/g, '_').slice(0, 100);
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 8);
+  return `${readable}-${hash}.json`;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+}
+
+// 検出結果の比較用の一覧（メッセージIDの順）
+function summarizeMatches(matches) {
+  return matches
+    .map(match => ({
+      messageId: match.messageId,
+      guildId: match.guildId,
+      channelId: match.channelId,
+      rule: match.keywordMatch.rule,
+      keyword: match.keywordMatch.text,
+      source: match.keywordMatch.source
+    }))
+    .sort((a, b) => (BigInt(a.messageId) < BigInt(b.messageId) ? -1 : 1));
+}
+
+// 検出結果の差分（expected にない検出・expected にあって検出されなかったもの）
+function compareMatches(expected, actual) {
+  const keyOf = item => `${item.messageId}:${item.rule}:${item.keyword}:${item.source}`;
+  const expectedKeys = new Set(expected.map(keyOf));
+  const actualKeys = new Set(actual.map(keyOf));
+  return {
+    added: actual.filter(item => !expectedKeys.has(keyOf(item))),
+    missing: expected.filter(item => !actualKeys.has(keyOf(item)))
+  };
+}
+
+// 記録用のフィクスチャ（既存のレスポンスは上書きする）
+function createFixtureRecorder(dir) {
+  const responsesDir = path.join(dir, RESPONSES_DIR);
+  fs.mkdirSync(responsesDir, { recursive: true });
+
+  return {
+    dir,
+
+    // discord-api.js の useFixtures() に渡す
+    record(method, requestPath, response) {
+      writeJson(path.join(responsesDir, responseFileName(method, requestPath)), {
+        method,
+        path: requestPath,
+        status: response.statusCode,
+        body: response.body
+      });
+    },
+
+    saveRun(run) {
+      writeJson(path.join(dir, RUN_FILE), run);
+    },
+
+    saveExpected(matches) {
+      writeJson(path.join(dir, EXPECTED_FILE), summarizeMatches(matches));
+    }
+  };
+}
+
+// 再生用のフィクスチャ
+function openFixturePlayer(dir) {
+  const runFile = path.join(dir, RUN_FILE);
+  if (!fs.existsSync(runFile)) {
+    throw new Error(`${runFile} がありません（--record ${dir} で Discord のレスポンスを記録してください）`);
+  }
+  const run = readJson(runFile);
+  const responsesDir = path.join(dir, RESPONSES_DIR);
+  const expectedFile = path.join(dir, EXPECTED_FILE);
+
+  return {
+    dir,
+    run,
+
+    // discord-api.js の useFixtures() に渡す（記録されていないリクエストは null）
+    replay(method, requestPath) {
+      const file = path.join(responsesDir, responseFileName(method, requestPath));
+      if (!fs.existsSync(file)) {
+        return null;
+      }
+      const recorded = readJson(file);
+      return { statusCode: recorded.status, headers: {}, body: recorded.body, raw: JSON.stringify(recorded.body) };
+    },
+
+    // 記録した実行開始時の追跡データを読み込むストレージ（保存はしない）
+    storage() {
+      return {
+        name: 'replay',
+        location: runFile,
+        load: async () => normalizeTrackedData(JSON.parse(JSON.stringify(run.trackedData))),
+        save: async () => {},
+        close: async () => {}
+      };
+    },
+
+    loadExpected() {
+      return fs.existsSync(expectedFile) ? readJson(expectedFile) : null;
+    },
+
+    saveExpected(matches) {
+      writeJson(expectedFile, summarizeMatches(matches));
+    }
+  };
+}
+
+module.exports = {
+  createFixtureRecorder,
+  openFixturePlayer,
+  summarizeMatches,
+  compareMatches
+};
@@ -0,0 +1,247 @@
+const { discordRequest } = require('./discord-api');
+const { connectWebSocket } = require('./websocket');
+
+// Discord Gateway の接続管理
+// - HELLO のハートビート間隔で送信し、ACK が返らない接続（ゾンビ接続）は切断して再開する
+// - 切断時は RESUME でセッションを再開し、再開できない場合は IDENTIFY からやり直す
+// - RECONNECT・INVALID_SESSION の要求に従う
+// - 認証エラーやインテント不足など、再接続しても解消しないクローズコードでは停止する
+// https://discord.com/developers/docs/topics/gateway
+
+const GATEWAY_VERSION = 10;
+
+const OPCODES = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11
+};
+
+const INTENTS = {
+  GUILDS: 1 << 0,
+  GUILD_MESSAGES: 1 << 9,
+  GUILD_MESSAGE_REACTIONS: 1 << 10,
+  MESSAGE_CONTENT: 1 << 15
+};
+
+// 再接続しても解消しないクローズコード
+const FATAL_CLOSE_CODES = {
+  4004: '認証に失敗しました（DISCORD_BOT_TOKEN を確認してください）',
+  4010: '不正なシャードです',
+  4011: 'シャーディングが必要です',
+  4012: '不正な API バージョンです',
+  4013: '不正なインテントです',
+  4014: '許可されていないインテントです（Developer Portal で MESSAGE CONTENT INTENT を有効にしてください）'
+};
+
+// セッションを再開できないクローズコード（IDENTIFY からやり直す）
+const SESSION_RESET_CLOSE_CODES = [4007, 4009];
+
+// セッションを維持したまま切断するコード（1000 / 1001 で切断するとセッションが無効になる）
+const RESUMABLE_CLOSE_CODE = 4000;
+
+// 再接続の待機時間
+const BASE_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Gateway クライアントを作成（connect() で接続を開始する）
+// options:
+//   token: Bot トークン
+//   intents: 購読するインテント（INTENTS の論理和）
+//   onDispatch(eventName, data): イベント（READY・RESUMED を含む）の受信
+//   onFatal(error): 再接続できないエラーで停止した
+function createGatewayClient(options) {
+  let ws = null;
+  let gatewayUrl = null;
+  let sessionId = null;
+  let resumeUrl = null;
+  let sequence = null;
+  let heartbeatTimer = null;
+  let heartbeatAcked = true;
+  let reconnectAttempts = 0;
+  let stopped = false;
+
+  const send = (op, d) => {
+    if (ws) {
+      ws.send(JSON.stringify({ op, d }));
+    }
+  };
+
+  const stopHeartbeat = () => {
+    clearTimeout(heartbeatTimer);
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  };
+
+  // 初回は間隔 × ランダムな割合だけ待ってから送信する（再接続が集中しないように）
+  const startHeartbeat = (interval) => {
+    stopHeartbeat();
+    heartbeatAcked = true;
+    const beat = () => {
+      if (!heartbeatAcked) {
+        console.warn('⚠️  Gateway のハートビートに応答がないため再接続します');
+        ws.close(RESUMABLE_CLOSE_CODE, 'heartbeat timeout');
+        return;
+      }
+      heartbeatAcked = false;
+      send(OPCODES.HEARTBEAT, sequence);
+    };
+    heartbeatTimer = setTimeout(() => {
+      beat();
+      heartbeatTimer = setInterval(beat, interval);
+    }, Math.floor(interval * Math.random()));
+  };
+
+  const identify = () => {
+    send(OPCODES.IDENTIFY, {
+      token: options.token,
+      intents: options.intents,
+      properties: {
+        os: process.platform,
+        browser: 'payment-notification-system',
+        device: 'payment-notification-system'
+      }
+    });
+  };
+
+  const resetSession = () => {
+    sessionId = null;
+    resumeUrl = null;
+    sequence = null;
+  };
+
+  const handlePayload = (payload) => {
+    if (payload.s !== null && payload.s !== undefined) {
+      sequence = payload.s;
+    }
+
+    switch (payload.op) {
+      case OPCODES.HELLO:
+        startHeartbeat(payload.d.heartbeat_interval);
+        if (sessionId) {
+          send(OPCODES.RESUME, { token: options.token, session_id: sessionId, seq: sequence });
+        } else {
+          identify();
+        }
+        return;
+      case OPCODES.HEARTBEAT:
+        send(OPCODES.HEARTBEAT, sequence);
+        return;
+      case OPCODES.HEARTBEAT_ACK:
+        heartbeatAcked = true;
+        return;
+      case OPCODES.RECONNECT:
+        console.log('🔄 Gateway から再接続を要求されました');
+        ws.close(RESUMABLE_CLOSE_CODE, 'reconnect requested');
+        return;
+      case OPCODES.INVALID_SESSION:
+        // d が true ならセッションを再開できる
+        if (!payload.d) {
+          resetSession();
+        }
+        console.warn(`⚠️  Gateway のセッションが無効になりました（${payload.d ? '再開' : '再認証'}します）`);
+        ws.close(RESUMABLE_CLOSE_CODE, 'invalid session');
+        return;
+      case OPCODES.DISPATCH:
+        if (payload.t === 'READY') {
+          sessionId = payload.d.session_id;
+          resumeUrl = payload.d.resume_gateway_url;
+          reconnectAttempts = 0;
+        } else if (payload.t === 'RESUMED') {
+          reconnectAttempts = 0;
+        }
+        options.onDispatch(payload.t, payload.d);
+        return;
+      default:
+    }
+  };
+
+  const scheduleReconnect = () => {
+    const delay = Math.min(MAX_RECONNECT_MS, BASE_RECONNECT_MS * 2 ** reconnectAttempts);
+    reconnectAttempts++;
+    console.log(`🔄 ${Math.round(delay / 1000)}秒後に Gateway に再接続します（${sessionId ? 'セッション再開' : '新規セッション'}）`);
+    setTimeout(() => {
+      connect().catch(error => {
+        console.error(`❌ Gateway 接続エラー: ${error.message}`);
+        scheduleReconnect();
+      });
+    }, delay);
+  };
+
+  const handleClose = (code, reason) => {
+    stopHeartbeat();
+    ws = null;
+    if (stopped) {
+      return;
+    }
+
+    if (FATAL_CLOSE_CODES[code]) {
+      stopped = true;
+      options.onFatal(new Error(`Gateway から切断されました (${code}): ${FATAL_CLOSE_CODES[code]}`));
+      return;
+    }
+    if (SESSION_RESET_CLOSE_CODES.includes(code)) {
+      resetSession();
+    }
+    console.warn(`⚠️  Gateway から切断されました (${code}${reason ? `: ${reason}` : ''})`);
+    scheduleReconnect();
+  };
+
+  // 新規セッションの開始回数の上限に達している場合は、リセットまで待つ
+  const waitForSessionStartLimit = async (limit) => {
+    if (limit && limit.remaining === 0) {
+      console.warn(`⚠️  Gateway のセッション開始回数の上限に達しています。${Math.ceil(limit.reset_after / 1000)}秒待機します`);
+      await sleep(limit.reset_after);
+    }
+  };
+
+  async function connect() {
+    if (stopped) {
+      return;
+    }
+    if (!sessionId) {
+      const info = await discordRequest('/gateway/bot', options.token);
+      gatewayUrl = info.url;
+      await waitForSessionStartLimit(info.session_start_limit);
+    }
+
+    const base = sessionId && resumeUrl ? resumeUrl : gatewayUrl;
+    ws = connectWebSocket(`${base}/?v=${GATEWAY_VERSION}&encoding=json`, {
+      onMessage: (text) => {
+        let payload;
+        try {
+          payload = JSON.parse(text);
+        } catch (error) {
+          console.error(`❌ Gateway の不正なペイロード: ${error.message}`);
+          return;
+        }
+        handlePayload(payload);
+      },
+      onClose: handleClose,
+      onError: (error) => console.error(`❌ Gateway 接続エラー: ${error.message}`)
+    });
+  }
+
+  return {
+    connect,
+
+    close() {
+      stopped = true;
+      stopHeartbeat();
+      if (ws) {
+        ws.close(1000, 'shutdown');
+      }
+    }
+  };
+}
+
+module.exports = {
+  INTENTS,
+  createGatewayClient
+};
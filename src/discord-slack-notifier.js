@@ -1,63 +1,126 @@
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
-
-// 追跡メッセージのデータファイルパス
-const TRACKED_MESSAGES_FILE = path.join(__dirname, '..', 'tracked-messages.json');
+const { spawn } = require('child_process');
+const { discordRequest, useFixtures } = require('./discord-api');
+const { createScheduler } = require('./scheduler');
+const { findStaffAddress, findStaffRule, findResolutionRule, describeQualification } = require('./staff-mentions');
+const { collectMessageTexts, matchMessage, collectImages, collectMentionNames } = require('./message-content');
+const { registerGuild, updateRole, removeRole, updateChannel, removeChannel, rememberMember, rememberMessageMembers, profileUrl, resolveUserName, resolveMentionNames } = require('./guild-directory');
+const { compileRuleHierarchy, getGuildRules, getChannelRules, isChannelIncluded, describeGuildRules } = require('./rules');
+const { validateConfigFile, validateEnv } = require('./config-schema');
+const { checkDiscordAccess } = require('./config-check');
+const { formatDiff } = require('./message-diff');
+const { escapeMrkdwn, discordToMrkdwn, discordToPlain } = require('./slack-mrkdwn');
+const { compileTemplates } = require('./templates');
+const { buildAlertMessage, buildPlainAlert, buildAlertData, buildDigestMessage, buildTrackedAlert } = require('./alert-message');
+const { compileAlertPolicy, describeAlertPolicy, formatPolicyMention, isQuietHours, findUrgentKeyword, selectDeliverable } = require('./alert-policy');
+const { createSlackEventsServer } = require('./slack-events-server');
+const { INTENTS, createGatewayClient } = require('./discord-gateway');
+const { TRACKING_HOURS, isUnanswered, isSnoozed, isSnoozeDue, isExpired, getDueTiers, buildReminderMessage, buildSnoozeReminderMessage, buildExpiredMessage, describeTrackedMessage } = require('./escalation');
+const { createStorage, createReadOnlyStorage, emptyTrackedData } = require('./storage');
+const { validateDestinations, createNotifier } = require('./destinations');
+const { createFixtureRecorder, openFixturePlayer, summarizeMatches, compareMatches } = require('./discord-fixtures');
 
 // 追跡メッセージデータの読み込み
-function loadTrackedMessages() {
-  if (fs.existsSync(TRACKED_MESSAGES_FILE)) {
-    try {
-      const data = fs.readFileSync(TRACKED_MESSAGES_FILE, 'utf8');
-      return JSON.parse(data);
-    } catch (error) {
-      console.error('⚠️  追跡メッセージファイルの読み込みエラー:', error.message);
-      return { messages: [] };
-    }
+async function loadTrackedMessages(storage) {
+  try {
+    return await storage.load();
+  } catch (error) {
+    console.error('⚠️  追跡データの読み込みエラー:', error.message);
+    return emptyTrackedData();
   }
-  return { messages: [] };
 }
 
 // 追跡メッセージデータの保存
-function saveTrackedMessages(data) {
+async function saveTrackedMessages(storage, data) {
   try {
-    fs.writeFileSync(TRACKED_MESSAGES_FILE, JSON.stringify(data, null, 2), 'utf8');
+    await storage.save(data);
   } catch (error) {
-    console.error('⚠️  追跡メッセージファイルの保存エラー:', error.message);
+    console.error('⚠️  追跡データの保存エラー:', error.message);
   }
 }
 
-// 72時間以上経過したメッセージを削除
+// 追跡期間（72時間）を過ぎたメッセージを削除
 function cleanupOldMessages(trackedData) {
-  const now = Date.now();
-  const maxAge = 72 * 60 * 60 * 1000; // 72時間
-  
   const originalCount = trackedData.messages.length;
-  trackedData.messages = trackedData.messages.filter(msg => {
-    const detectedAt = new Date(msg.detectedAt).getTime();
-    return (now - detectedAt) < maxAge;
-  });
+  trackedData.messages = trackedData.messages.filter(msg => !isExpired(msg));
   
   const removedCount = originalCount - trackedData.messages.length;
   if (removedCount > 0) {
-    console.log(`🗑️  72時間経過メッセージを削除: ${removedCount}件`);
+    console.log(`🗑️  ${TRACKING_HOURS}時間経過メッセージを削除: ${removedCount}件`);
+  }
+  
+  return trackedData;
+}
+
+// 通知済みインデックスから保持期間を過ぎたIDを削除
+// 監視期間より長く保持しないと、重なった期間の再スキャンで再通知されるため
+// 少なくとも監視期間の2倍（最低72時間）は保持する
+function cleanupNotifiedIndex(trackedData, checkIntervalHours) {
+  const now = Date.now();
+  const retention = Math.max(72, checkIntervalHours * 2) * 60 * 60 * 1000;
+  
+  for (const [messageId, notifiedAt] of Object.entries(trackedData.notifiedMessageIds)) {
+    if (now - new Date(notifiedAt).getTime() >= retention) {
+      delete trackedData.notifiedMessageIds[messageId];
+    }
   }
   
   return trackedData;
 }
 
+// 追跡を続けている（Discord で削除済み・対応済み・誤検知でない）メッセージか
+function isActiveTracked(trackedMsg) {
+  return !trackedMsg.deletedAt && !trackedMsg.resolution && !trackedMsg.falsePositive;
+}
+
+// 既に通知済みのDiscordメッセージかチェック
+function isAlreadyNotified(trackedData, messageId) {
+  if (trackedData.notifiedMessageIds[messageId]) {
+    return true;
+  }
+  return trackedData.messages.some(msg => msg.discordMessageId === messageId);
+}
+
 // 環境変数または設定ファイルから設定を読み込む
-function loadConfig() {
+// 検証結果は config.validation（errors / warnings）に格納される
+// requireDestinations が false の場合（--dry-run）、送信先の環境変数の未設定は警告として扱う
+function loadConfig({ requireSecrets = true, requireDestinations = requireSecrets, serve = false } = {}) {
   const config = {
     discordToken: process.env.DISCORD_BOT_TOKEN,
+    slackSigningSecret: process.env.SLACK_SIGNING_SECRET,
     slackWebhookUrl: process.env.SLACK_WEBHOOK_URL,
+    slackBotToken: process.env.SLACK_BOT_TOKEN,
+    slackChannelId: process.env.SLACK_CHANNEL_ID,
     guildIds: [],
     keywords: [],
+    keywordRules: [],
     excludeKeywords: [],
     excludeUserIds: [],
     excludeUsernames: [],
-    checkIntervalHours: 3
+    staffMentionRules: [],
+    resolutionRules: [],
+    includeChannels: [],
+    excludeChannels: [],
+    guildOverrides: {},
+    checkIntervalHours: 3,
+    initialBackfillHours: 3,
+    scanArchivedThreads: true,
+    archivedThreadLookbackHours: 24,
+    concurrency: { initial: 10, min: 2, max: 30 },
+    escalation: { tiers: [], expiredNotice: true },
+    gateway: { catchUpOnConnect: true, maintenanceIntervalMinutes: 5 },
+    destinations: {},
+    routes: [],
+    alertPolicy: compileAlertPolicy(),
+    templates: compileTemplates()
+  };
+
+  // 環境変数の検証
+  const envValidation = validateEnv(process.env, { requireSecrets, serve });
+  config.validation = {
+    errors: envValidation.errors.map(message => `環境変数: ${message}`),
+    warnings: envValidation.warnings.map(message => `環境変数: ${message}`)
   };
 
   // 環境変数からGuild IDsを取得（カンマ区切り）
@@ -66,272 +129,670 @@ function loadConfig() {
   }
 
   // config.jsonから設定を読み込む（環境変数で上書き可能）
-  const configPath = path.join(__dirname, '..', 'config.json');
+  // CONFIG_PATH で別の設定ファイルを指定できる（フィクスチャの再生・e2e テストなど）
+  const configPath = process.env.CONFIG_PATH || path.join(__dirname, '..', 'config.json');
   if (fs.existsSync(configPath)) {
-    const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    let fileConfig;
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      config.validation.errors.push(`config.json: JSON の構文エラー (${error.message})`);
+      return config;
+    }
+
+    // スキーマ検証（エラーがあればルールのコンパイルは行わない）
+    const fileValidation = validateConfigFile(fileConfig);
+    config.validation.errors.push(...fileValidation.errors.map(message => `config.json: ${message}`));
+    config.validation.warnings.push(...fileValidation.warnings.map(message => `config.json: ${message}`));
+    if (fileValidation.errors.length > 0) {
+      return config;
+    }
     
     // 環境変数が設定されていない場合はファイルから読み込む
     if (config.guildIds.length === 0) {
       config.guildIds = fileConfig.guildIds || [];
     }
     config.keywords = fileConfig.keywords || [];
+    config.keywordRules = fileConfig.keywordRules || [];
     config.excludeKeywords = fileConfig.excludeKeywords || [];
     config.excludeUserIds = fileConfig.excludeUserIds || [];
     config.excludeUsernames = fileConfig.excludeUsernames || [];
+    config.staffMentionRules = fileConfig.staffMentionRules || [];
+    config.resolutionRules = fileConfig.resolutionRules || [];
+    config.includeChannels = fileConfig.includeChannels || [];
+    config.excludeChannels = fileConfig.excludeChannels || [];
+    config.guildOverrides = fileConfig.guildOverrides || {};
     config.checkIntervalHours = fileConfig.checkIntervalHours || 3;
+    // 未指定の場合は従来の監視期間と同じ範囲をバックフィル
+    config.initialBackfillHours = fileConfig.initialBackfillHours || config.checkIntervalHours;
+    config.scanArchivedThreads = fileConfig.scanArchivedThreads !== false;
+    config.archivedThreadLookbackHours = fileConfig.archivedThreadLookbackHours || 24;
+    config.concurrency = { ...config.concurrency, ...(fileConfig.concurrency || {}) };
+    config.escalation = { ...config.escalation, ...(fileConfig.escalation || {}) };
+    config.gateway = { ...config.gateway, ...(fileConfig.gateway || {}) };
+    config.destinations = fileConfig.destinations || {};
+    config.routes = fileConfig.routes || [];
+    try {
+      config.alertPolicy = compileAlertPolicy(fileConfig.alertPolicy);
+    } catch (error) {
+      config.validation.errors.push(`config.json: alertPolicy.urgentKeywords: ${error.message}`);
+    }
+    config.templates = compileTemplates(fileConfig.messages);
+  }
+
+  // 送信先の環境変数（従来の SLACK_* を含む）
+  const destinationValidation = validateDestinations(config, process.env);
+  (requireDestinations ? config.validation.errors : config.validation.warnings)
+    .push(...destinationValidation.missing.map(message => `環境変数: ${message}`));
+  config.validation.warnings.push(...destinationValidation.warnings.map(message => `config.json: ${message}`));
+
+  if (config.guildIds.length === 0) {
+    config.validation.errors.push('Discord Guild IDs が設定されていません（DISCORD_GUILD_IDS または config.json の guildIds）');
+  }
+
+  // グローバル → サーバー → チャンネルのルールをマージしてコンパイル
+  try {
+    config.ruleHierarchy = compileRuleHierarchy(config);
+    config.matcher = config.ruleHierarchy.globalRules.matcher;
+  } catch (error) {
+    config.validation.errors.push(`config.json: ${error.message}`);
   }
 
   return config;
 }
 
-// Discord API リクエスト
-function discordRequest(path, token, method = 'GET') {
-  return new Promise((resolve, reject) => {
-    const options = {
-      hostname: 'discord.com',
-      path: `/api/v10${path}`,
-      method: method,
-      headers: {
-        'Authorization': `Bot ${token}`,
-        'Content-Type': 'application/json'
+// 設定の検証結果を表示（エラーがあれば false）
+function printValidation(validation) {
+  for (const warning of validation.warnings) {
+    console.warn(`⚠️  警告: ${warning}`);
+  }
+  for (const error of validation.errors) {
+    console.error(`❌ エラー: ${error}`);
+  }
+  return validation.errors.length === 0;
+}
+
+// --check-config: 設定と環境変数を検証し、トークンがあれば Discord へのアクセスを確認して終了
+async function checkConfig() {
+  console.log('='.repeat(60));
+  console.log('メンションなし支払い連絡通知システム - 設定チェック');
+  console.log('='.repeat(60));
+
+  const config = loadConfig({ requireSecrets: false });
+  const valid = printValidation(config.validation);
+
+  if (!valid) {
+    console.log(`\n❌ 設定にエラーがあります (${config.validation.errors.length}件)`);
+    return false;
+  }
+
+  console.log(`\n✓ config.json・環境変数: OK (警告 ${config.validation.warnings.length}件)`);
+  console.log(`  - 監視サーバー数: ${config.guildIds.length}`);
+  console.log(`  - 監視キーワードルール数: ${config.matcher.rules.length}`);
+  for (const guildId of config.guildIds) {
+    console.log(`  - ${guildId}: ${describeGuildRules(config, guildId)}`);
+  }
+  console.log(`  - 送信先: ${createNotifier(config).describe().join(' / ') || 'なし'}`);
+  config.routes.forEach((route, index) => {
+    console.log(`  - ルート${index + 1}${route.name ? ` (${route.name})` : ''}: ${route.kind} → ${route.destinations.join(', ')}`);
+  });
+
+  if (!config.discordToken) {
+    console.log('\n⏭️  DISCORD_BOT_TOKEN が未設定のため、Discord へのアクセス確認をスキップしました');
+    return true;
+  }
+
+  console.log('\n🔌 Discord へのアクセスを確認中...');
+  const { botUser, results } = await checkDiscordAccess(config);
+  console.log(`  Bot: ${botUser.username} (${botUser.id})`);
+
+  let ok = true;
+  for (const result of results) {
+    if (result.ok) {
+      console.log(`  ✓ ${result.guildId} (${result.guildName}): 読み取り可能 ${result.readableCount}/${result.channelCount} チャンネル`);
+      if (result.readableCount === 0) {
+        console.warn(`    ⚠️  読み取り可能なチャンネルがありません（閲覧・メッセージ履歴の権限を確認してください）`);
       }
-    };
+    } else {
+      ok = false;
+      console.error(`  ❌ ${result.guildId}: ${result.error}`);
+    }
+  }
 
-    const req = https.request(options, (res) => {
-      let data = '';
+  console.log(ok ? '\n✅ 設定チェック完了' : '\n❌ アクセスできないサーバーがあります');
+  return ok;
+}
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+// Slack で誤検知にされたメッセージをルール・キーワードごとに表示（excludeKeywords の見直し用）
+async function listFalsePositives() {
+  const storage = createStorage();
+  const trackedData = await storage.load();
+  await storage.close();
 
-      res.on('end', () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            resolve(data);
-          }
-        } else {
-          reject(new Error(`Discord API Error: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+  const falsePositives = trackedData.falsePositives;
+  console.log(`🚫 誤検知の記録: ${falsePositives.length}件 (${storage.name}: ${storage.location})`);
+  if (falsePositives.length === 0) {
+    return;
+  }
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+  const groups = new Map();
+  for (const record of falsePositives) {
+    const key = `${record.rule} / 「${record.keyword}」`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
 
-    req.end();
-  });
+  const sorted = [...groups.entries()].sort((a, b) => b[1].length - a[1].length);
+  for (const [key, records] of sorted) {
+    console.log(`\n  ${key}: ${records.length}件`);
+    for (const record of records) {
+      const content = record.content.replace(/\s+/g, ' ').substring(0, 80);
+      console.log(`    - ${record.guildName} #${record.channelName}: ${content} (${record.markedBy} / ${record.markedAt})`);
+    }
+  }
 }
 
-// Slack通知送信
-function sendSlackNotification(webhookUrl, message) {
-  return new Promise((resolve, reject) => {
-    const url = new URL(webhookUrl);
-    const payload = JSON.stringify(message);
+const DISCORD_EPOCH = 1420070400000;
 
-    const options = {
-      hostname: url.hostname,
-      path: url.pathname,
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payload)
-      }
-    };
+// タイムスタンプをSnowflakeに変換（Discord IDから時刻を取得）
+function snowflakeToTimestamp(snowflake) {
+  return Number(BigInt(snowflake) >> 22n) + DISCORD_EPOCH;
+}
 
-    const req = https.request(options, (res) => {
-      let data = '';
+// 時刻からSnowflakeを生成（after= の起点として使用）
+function timestampToSnowflake(timestamp) {
+  return (BigInt(timestamp - DISCORD_EPOCH) << 22n).toString();
+}
 
-      res.on('data', (chunk) => {
-        data += chunk;
-      });
+// Snowflakeの大小比較
+function compareSnowflakes(a, b) {
+  const diff = BigInt(a) - BigInt(b);
+  return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+}
 
-      res.on('end', () => {
-        if (res.statusCode === 200) {
-          resolve(data);
-        } else {
-          reject(new Error(`Slack API Error: ${res.statusCode} - ${data}`));
-        }
-      });
-    });
+// 小さい方のSnowflake（null は無視）
+function minSnowflake(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+  return compareSnowflakes(a, b) <= 0 ? a : b;
+}
 
-    req.on('error', (error) => {
-      reject(error);
-    });
+// ウォーターマーク以降のメッセージを after= でページングしてすべて取得（古い順）
+async function fetchMessagesAfter(channelId, afterId, token) {
+  const PAGE_SIZE = 100;
+  const allMessages = [];
+  let cursor = afterId;
 
-    req.write(payload);
-    req.end();
-  });
+  while (true) {
+    const page = await discordRequest(
+      `/channels/${channelId}/messages?limit=${PAGE_SIZE}&after=${cursor}`,
+      token
+    );
+
+    if (page.length === 0) {
+      break;
+    }
+
+    // after= 指定時も新しい順で返るため古い順に並べ替える
+    page.sort((a, b) => compareSnowflakes(a.id, b.id));
+    allMessages.push(...page);
+    cursor = page[page.length - 1].id;
+
+    if (page.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return allMessages;
 }
 
-// Slackスレッドに返信を送信
-async function sendSlackThreadReply(webhookUrl, threadTs, message) {
-  const payload = {
-    ...message,
-    thread_ts: threadTs
+// 返信として扱わない参照（転送メッセージ）
+const MESSAGE_REFERENCE_FORWARD = 1;
+
+// スレッド開始メッセージ（スレッド内の先頭に表示される参照）
+const THREAD_STARTER_MESSAGE_TYPE = 21;
+
+// 返信の通知用データ
+function toReply(message) {
+  return {
+    id: message.id,
+    author: {
+      id: message.author.id,
+      username: message.author.username,
+      global_name: message.author.global_name || null
+    },
+    content: message.content,
+    mentionNames: collectMentionNames(message),
+    timestamp: new Date(message.timestamp).toISOString()
   };
-  return sendSlackNotification(webhookUrl, payload);
 }
 
-// メッセージにキーワードが含まれているかチェック
-function containsKeyword(content, keywords) {
-  return keywords.some(keyword => content.includes(keyword));
+// メンションの名前をまとめる（編集前後の本文の差分用）
+function mergeMentionNames(...namesList) {
+  const merged = { users: {}, roles: {}, channels: {} };
+  for (const names of namesList.filter(Boolean)) {
+    Object.assign(merged.users, names.users);
+    Object.assign(merged.roles, names.roles);
+    Object.assign(merged.channels, names.channels);
+  }
+  return merged;
 }
 
-// 除外キーワードが含まれているかチェック
-function shouldExcludeMessage(content, excludeKeywords) {
-  return excludeKeywords.some(keyword => content.includes(keyword));
+// 絵文字のリアクションをしたユーザーをすべて取得（1ページ100人まで、ユーザーIDの順に after= でページング）
+async function fetchReactionUsers(channelId, messageId, emojiId, token) {
+  const PAGE_SIZE = 100;
+  const allUsers = [];
+  let cursor = null;
+
+  while (true) {
+    const page = await discordRequest(
+      `/channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(emojiId)}?limit=${PAGE_SIZE}${cursor ? `&after=${cursor}` : ''}`,
+      token
+    );
+    allUsers.push(...page);
+
+    if (page.length < PAGE_SIZE) {
+      break;
+    }
+    cursor = page[page.length - 1].id;
+  }
+
+  return allUsers;
 }
 
-// タイムスタンプをSnowflakeに変換（Discord IDから時刻を取得）
-function snowflakeToTimestamp(snowflake) {
-  const DISCORD_EPOCH = 1420070400000;
-  return Number(BigInt(snowflake) >> 22n) + DISCORD_EPOCH;
+// 追跡メッセージのリアクションの追加・取り消しを取得
+// notifiedReactions（"ユーザーID-絵文字"）と現在のリアクションを比較する
+// リアクション数が通知済みの人数と同じ絵文字はユーザー一覧を取得しない
+// （同じ絵文字で取り消しと追加が同時にあった場合は次の変化まで検出されない）
+async function getReactionChanges(channelId, message, trackedMsg, token) {
+  const added = [];
+  const removed = [];
+  const notifiedByEmoji = new Map();
+  for (const key of trackedMsg.notifiedReactions) {
+    const separator = key.indexOf('-');
+    const emoji = key.slice(separator + 1);
+    if (!notifiedByEmoji.has(emoji)) {
+      notifiedByEmoji.set(emoji, []);
+    }
+    notifiedByEmoji.get(emoji).push(key.slice(0, separator));
+  }
+
+  for (const reaction of message.reactions || []) {
+    const emoji = reaction.emoji.name || '❓';
+    const notifiedUserIds = notifiedByEmoji.get(emoji) || [];
+    notifiedByEmoji.delete(emoji);
+    if (reaction.count === notifiedUserIds.length) {
+      continue;
+    }
+
+    const emojiId = reaction.emoji.id ? `${reaction.emoji.name}:${reaction.emoji.id}` : reaction.emoji.name;
+    const users = await fetchReactionUsers(channelId, message.id, emojiId, token);
+
+    for (const user of users) {
+      if (!notifiedUserIds.includes(user.id)) {
+        added.push({ emoji, rawEmoji: reaction.emoji, user: { id: user.id, username: user.username, global_name: user.global_name || null } });
+      }
+    }
+    for (const userId of notifiedUserIds) {
+      if (!users.some(user => user.id === userId)) {
+        removed.push({ emoji, userId });
+      }
+    }
+  }
+
+  // リアクションがすべて取り消された絵文字
+  for (const [emoji, userIds] of notifiedByEmoji) {
+    removed.push(...userIds.map(userId => ({ emoji, userId })));
+  }
+
+  return { added, removed };
+}
+
+// 追跡メッセージから作成されたスレッドの新しいメッセージを返信として取得
+// スレッドIDは元メッセージのIDと同じ
+async function getThreadReplies(threadId, trackedMsg, token) {
+  const messages = await fetchMessagesAfter(threadId, trackedMsg.threadCheckedUntil || threadId, token);
+  return {
+    replies: messages.filter(message => message.type !== THREAD_STARTER_MESSAGE_TYPE).map(toReply),
+    latestMessageId: messages.length > 0 ? messages[messages.length - 1].id : trackedMsg.threadCheckedUntil || null
+  };
 }
 
-// メッセージのリアクションを取得
-async function getMessageReactions(channelId, messageId, token) {
+// 1チャンネル内の追跡メッセージのリアクション・返信をまとめて確認
+// チャンネルにつき1回、最も古い確認位置から after= で最新まで取得し、
+// 追跡メッセージへの返信（message_reference）と追跡メッセージ自体（リアクション）を同じページから取り出す
+// 戻り値: 追跡メッセージIDごとの { message, deleted, reactions: { added, removed }, replies, latestMessageId, threadId, threadLatestMessageId, error }
+async function checkTrackedChannel(channelId, trackedMessages, token) {
+  // 確認位置: 前回までに確認した最後のメッセージID（初回は追跡メッセージ自体をページに含めるため直前から）
+  const cursorOf = trackedMsg =>
+    trackedMsg.repliesCheckedUntil || (BigInt(trackedMsg.discordMessageId) - 1n).toString();
+  const afterId = trackedMessages
+    .map(cursorOf)
+    .reduce((oldest, id) => (compareSnowflakes(id, oldest) < 0 ? id : oldest));
+
+  let messages;
   try {
-    const message = await discordRequest(`/channels/${channelId}/messages/${messageId}`, token);
-    
-    if (!message.reactions || message.reactions.length === 0) {
-      return [];
+    messages = await fetchMessagesAfter(channelId, afterId, token);
+  } catch (error) {
+    // チャンネルごと削除された場合は、追跡メッセージもすべて削除済みとして扱う
+    if (error.status !== 404) {
+      throw error;
     }
-    
-    const reactions = [];
-    for (const reaction of message.reactions) {
-      // 各リアクションのユーザー一覧を取得
-      const emojiId = reaction.emoji.id ? `${reaction.emoji.name}:${reaction.emoji.id}` : reaction.emoji.name;
-      const users = await discordRequest(
-        `/channels/${channelId}/messages/${messageId}/reactions/${encodeURIComponent(emojiId)}`,
-        token
-      );
-      
-      reactions.push({
-        emoji: reaction.emoji.name || '❓',
-        count: reaction.count,
-        users: users.map(u => ({ id: u.id, username: u.username }))
-      });
+    return new Map(trackedMessages.map(trackedMsg => [trackedMsg.discordMessageId, { deleted: true }]));
+  }
+  const latestMessageId = messages.length > 0 ? messages[messages.length - 1].id : null;
+
+  const activities = new Map(trackedMessages.map(trackedMsg => [trackedMsg.discordMessageId, {
+    message: null,
+    deleted: false,
+    reactions: { added: [], removed: [] },
+    replies: [],
+    latestMessageId: latestMessageId || trackedMsg.repliesCheckedUntil || null,
+    threadId: trackedMsg.discordThreadId || null,
+    threadLatestMessageId: trackedMsg.threadCheckedUntil || null,
+    error: null
+  }]));
+
+  for (const message of messages) {
+    if (activities.has(message.id)) {
+      activities.get(message.id).message = message;
     }
-    
-    return reactions;
-  } catch (error) {
-    // 503エラー（タイムアウト）の場合は警告のみ
-    if (error.message.includes('503') || error.message.includes('timeout')) {
-      console.error(`  ⚠️  リアクション取得タイムアウト (Message: ${messageId}) - スキップ`);
-    } else {
-      console.error(`  ⚠️  リアクション取得エラー (Message: ${messageId}):`, error.message);
+    const reference = message.message_reference;
+    if (reference && reference.type !== MESSAGE_REFERENCE_FORWARD && activities.has(reference.message_id)) {
+      activities.get(reference.message_id).replies.push(toReply(message));
+    }
+  }
+
+  for (const trackedMsg of trackedMessages) {
+    const activity = activities.get(trackedMsg.discordMessageId);
+    try {
+      // 確認位置より前の追跡メッセージはページに含まれないため個別に取得
+      if (!activity.message) {
+        activity.message = await discordRequest(`/channels/${channelId}/messages/${trackedMsg.discordMessageId}`, token);
+      }
+
+      activity.reactions = await getReactionChanges(channelId, activity.message, trackedMsg, token);
+
+      if (activity.message.thread) {
+        activity.threadId = activity.message.thread.id;
+      }
+      if (activity.threadId) {
+        const thread = await getThreadReplies(activity.threadId, trackedMsg, token);
+        activity.replies.push(...thread.replies);
+        activity.threadLatestMessageId = thread.latestMessageId;
+      }
+    } catch (error) {
+      if (error.status === 404 && !activity.message) {
+        activity.deleted = true;
+      } else {
+        activity.error = error;
+      }
+    }
+  }
+
+  return activities;
+}
+
+// Discord チャンネル種別
+const CHANNEL_TYPES = {
+  GUILD_TEXT: 0,
+  GUILD_ANNOUNCEMENT: 5,
+  ANNOUNCEMENT_THREAD: 10,
+  PUBLIC_THREAD: 11,
+  PRIVATE_THREAD: 12,
+  GUILD_FORUM: 15,
+  GUILD_MEDIA: 16
+};
+
+// メッセージを直接読み込むチャンネル（テキスト・アナウンス）
+const MESSAGE_CHANNEL_TYPES = [CHANNEL_TYPES.GUILD_TEXT, CHANNEL_TYPES.GUILD_ANNOUNCEMENT];
+
+// スレッドを持つ親チャンネル（フォーラム・メディアはスレッド＝投稿のみ）
+const THREAD_PARENT_TYPES = [
+  CHANNEL_TYPES.GUILD_TEXT,
+  CHANNEL_TYPES.GUILD_ANNOUNCEMENT,
+  CHANNEL_TYPES.GUILD_FORUM,
+  CHANNEL_TYPES.GUILD_MEDIA
+];
+
+// スレッドの種別
+const THREAD_TYPES = [CHANNEL_TYPES.ANNOUNCEMENT_THREAD, CHANNEL_TYPES.PUBLIC_THREAD, CHANNEL_TYPES.PRIVATE_THREAD];
+
+// チャンネル・スレッドを監視対象の形式に変換（スレッドは親チャンネルの名前で表示する）
+function toScanTarget(channel, parent = null) {
+  if (!parent) {
+    return { id: channel.id, name: channel.name, type: channel.type, parentId: null, parentName: null, threadName: null };
+  }
+  return {
+    id: channel.id,
+    name: parent.name,
+    type: channel.type,
+    parentId: parent.id,
+    parentName: parent.name,
+    threadName: channel.name
+  };
+}
+
+// 親チャンネルの最近アーカイブされた公開スレッドを取得
+async function getRecentArchivedThreads(parentId, config, sinceTime) {
+  const threads = [];
+  let before = null;
+
+  while (true) {
+    const query = before ? `?limit=100&before=${encodeURIComponent(before)}` : '?limit=100';
+    const page = await discordRequest(`/channels/${parentId}/threads/archived/public${query}`, config.discordToken);
+
+    let reachedOld = false;
+    for (const thread of page.threads) {
+      // アーカイブ日時の新しい順に返るため、期間外に達したら終了
+      if (new Date(thread.thread_metadata.archive_timestamp).getTime() < sinceTime) {
+        reachedOld = true;
+        break;
+      }
+      threads.push(thread);
     }
-    return [];
+
+    if (reachedOld || !page.has_more || page.threads.length === 0) {
+      break;
+    }
+    before = page.threads[page.threads.length - 1].thread_metadata.archive_timestamp;
+  }
+
+  return threads;
+}
+
+// サーバー内の監視対象（テキスト・アナウンスチャンネル、アクティブ/最近アーカイブされたスレッド、フォーラム投稿）を列挙
+// アーカイブ済みスレッドは scanState.scanStartTime（実行開始時刻）から archivedThreadLookbackHours 以内のもの
+async function listScanTargets(guildId, channels, config, scanState) {
+  const channelMap = new Map(channels.map(ch => [ch.id, ch]));
+  // includeChannels / excludeChannels で対象外のチャンネルは除く
+  const isIncluded = (target) => isChannelIncluded(config, guildId, target);
+
+  const targets = channels
+    .filter(ch => MESSAGE_CHANNEL_TYPES.includes(ch.type))
+    .map(ch => toScanTarget(ch))
+    .filter(isIncluded);
+  const seenThreadIds = new Set();
+  let archivedCount = 0;
+
+  const addThread = (thread) => {
+    const parent = channelMap.get(thread.parent_id);
+    if (!parent || seenThreadIds.has(thread.id)) {
+      return false;
+    }
+    const target = toScanTarget(thread, parent);
+    if (!isIncluded(target)) {
+      return false;
+    }
+    seenThreadIds.add(thread.id);
+    targets.push(target);
+    return true;
+  };
+
+  // アクティブなスレッド（サーバー全体で1リクエスト）
+  const active = await discordRequest(`/guilds/${guildId}/threads/active`, config.discordToken);
+  active.threads.forEach(addThread);
+  const activeCount = seenThreadIds.size;
+
+  // 最近アーカイブされた公開スレッド（親チャンネルごと）
+  if (config.scanArchivedThreads) {
+    const lookbackTime = scanState.scanStartTime - config.archivedThreadLookbackHours * 60 * 60 * 1000;
+    const parents = channels
+      .filter(ch => THREAD_PARENT_TYPES.includes(ch.type))
+      .filter(ch => isIncluded(toScanTarget(ch)));
+
+    await Promise.all(parents.map(parent => scanState.scheduler.run(async () => {
+      try {
+        const archived = await getRecentArchivedThreads(parent.id, config, lookbackTime);
+        for (const thread of archived) {
+          // 前回確認以降にアーカイブされたスレッドのみ（それ以前のものは新しいメッセージがない）
+          const since = snowflakeToTimestamp(scanState.watermarks[thread.id] || scanState.backfillAfterId);
+          if (new Date(thread.thread_metadata.archive_timestamp).getTime() > since && addThread(thread)) {
+            archivedCount++;
+          }
+        }
+      } catch (error) {
+        // 403（閲覧権限なし）などは親チャンネル単位でスキップ
+        if (error.status !== 403) {
+          console.error(`  ⚠️  アーカイブ済みスレッド取得エラー (#${parent.name}): ${error.message}`);
+        }
+      }
+    })));
   }
+
+  return { targets, activeThreadCount: activeCount, archivedThreadCount: archivedCount };
 }
 
-// メッセージへの返信を取得
-async function getMessageReplies(channelId, messageId, token) {
+// メッセージをキーワード・除外ルール・スタッフ宛ての判定にかける
+// 戻り値: 通知対象なら { match }、スタッフ宛てのため除外なら { staffAddressed: true }、対象外なら null
+async function evaluateMessage(message, channel, guildId, guildName, rules, config) {
+  const messageTime = snowflakeToTimestamp(message.id);
+
+  // キーワードチェック（本文・埋め込み・添付ファイル名・転送メッセージ）
+  const keywordMatch = matchMessage(rules.matcher, message);
+  if (!keywordMatch) {
+    return null;
+  }
+
+  // デバッグ: Webhookの詳細情報をログ出力（一時的）
+  if (message.webhook_id) {
+    console.log(`  [Webhook検出] 名前: "${message.author.username}", ID: ${message.author.id}, Bot: ${message.author.bot}`);
+  }
+  
+  // 除外ユーザーIDチェック
+  if (rules.excludeUserIds.includes(message.author.id)) {
+    return null; // 除外ユーザーの場合はスキップ
+  }
+  
+  // 除外ユーザー名チェック（Webhook含む）
+  // 完全一致だけでなく、部分一致もチェック
+  const isExcludedByUsername = rules.excludeUsernames.some(username => 
+    message.author.username.includes(username) || username.includes(message.author.username)
+  );
+  
+  if (isExcludedByUsername) {
+    console.log(`  [除外] ユーザー名: "${message.author.username}" が除外リストに該当`);
+    return null; // 除外ユーザー名の場合はスキップ
+  }
+  
+  // スタッフへのメンション・返信チェック（既にスタッフ宛てなら通知不要）
+  let staffAddress = null;
   try {
-    // チャンネルの最新メッセージを取得（返信を含む）
-    const messages = await discordRequest(`/channels/${channelId}/messages?limit=100`, token);
-    
-    // 特定のメッセージへの返信をフィルタリング
-    const replies = messages.filter(msg => 
-      msg.message_reference && msg.message_reference.message_id === messageId
-    );
-    
-    return replies.map(reply => ({
-      id: reply.id,
-      author: {
-        id: reply.author.id,
-        username: reply.author.username
-      },
-      content: reply.content,
-      timestamp: new Date(reply.timestamp).toISOString()
-    }));
+    staffAddress = await findStaffAddress(message, guildId, rules.staffMentionRules, config.discordToken);
   } catch (error) {
-    // 503エラー（タイムアウト）の場合は警告のみ
-    if (error.message.includes('503') || error.message.includes('timeout')) {
-      console.error(`  ⚠️  返信取得タイムアウト (Message: ${messageId}) - スキップ`);
-    } else {
-      console.error(`  ⚠️  返信取得エラー (Message: ${messageId}):`, error.message);
-    }
-    return [];
+    // 判定できない場合は取りこぼさないよう通知対象とする
+    console.error(`  ⚠️  スタッフ判定エラー (Message: ${message.id}): ${error.message}`);
+  }
+  
+  if (staffAddress) {
+    console.log(`  [除外] ${staffAddress.rule} 宛て (${staffAddress.type}: ${staffAddress.targetId})`);
+    return { staffAddressed: true };
   }
+  
+  const messageUrl = `https://discord.com/channels/${guildId}/${channel.id}/${message.id}`;
+
+  // 送信者はサーバーのニックネームで表示し、本文中のメンションを名前に変換する（Webhook の送信者はメンバーではない）
+  const author = message.webhook_id
+    ? message.author.username
+    : await resolveUserName(guildId, message.author, config.discordToken);
+  const mentionNames = await resolveMentionNames(
+    guildId,
+    collectMessageTexts(message).map(segment => segment.text),
+    collectMentionNames(message),
+    config.discordToken
+  );
+  
+  return {
+    match: {
+      messageId: message.id,
+      channelId: channel.id,
+      guildId,
+      guildName,
+      channelName: channel.name,
+      threadName: channel.threadName,
+      // チャンネルごとのルール（対応済みリアクション）の判定に使用
+      channelTarget: { id: channel.id, name: channel.name, parentId: channel.parentId, parentName: channel.parentName },
+      author,
+      authorUsername: message.author.username,
+      authorId: message.author.id,
+      authorUrl: message.webhook_id ? null : profileUrl(message.author.id),
+      content: message.content,
+      editedTimestamp: message.edited_timestamp || null,
+      keywordMatch,
+      images: collectImages(message),
+      mentionNames,
+      reason: describeQualification(message, keywordMatch, rules.staffMentionRules, config.templates),
+      messageUrl,
+      messageTime
+    }
+  };
 }
 
 // チャンネルを並列処理する関数
-async function processChannel(channel, guildId, guildName, config, cutoffTime) {
+// scanState.watermarks: チャンネルごとの最終確認メッセージID
+// scanState.backfillAfterId: ウォーターマークがないチャンネルの読み込み起点
+// scanState.scanStartId: 実行開始時刻のSnowflake（メッセージがない新規チャンネルの起点）
+async function processChannel(channel, guildId, guildName, config, scanState) {
   try {
-    // メッセージ取得（最新100件）
-    const messages = await discordRequest(
-      `/channels/${channel.id}/messages?limit=100`,
-      config.discordToken
-    );
+    const watermark = scanState.watermarks[channel.id];
+    const afterId = watermark || scanState.backfillAfterId;
+
+    // 前回の続きから全メッセージを取得
+    const messages = await fetchMessagesAfter(channel.id, afterId, config.discordToken);
 
     const results = {
+      channelId: channel.id,
       channelName: channel.name,
       messageCount: messages.length,
       matches: [],
+      staffAddressedCount: 0,
+      // 次回の起点。新規チャンネルでメッセージがなければ実行開始時刻から
+      latestMessageId: messages.length > 0
+        ? messages[messages.length - 1].id
+        : (watermark || scanState.scanStartId),
       error: null
     };
 
+    // このチャンネルに適用されるルール（サーバー・チャンネル上書きをマージ済み）
+    const rules = getChannelRules(config, guildId, channel);
+
     // キーワードマッチング
     for (const message of messages) {
-      // メッセージの作成時刻をチェック
-      const messageTime = snowflakeToTimestamp(message.id);
-      
-      if (messageTime < cutoffTime) {
-        continue; // 監視期間外
-      }
-
-      // キーワードチェック
-      if (containsKeyword(message.content, config.keywords)) {
-        // デバッグ: Webhookの詳細情報をログ出力（一時的）
-        if (message.webhook_id) {
-          console.log(`  [Webhook検出] 名前: "${message.author.username}", ID: ${message.author.id}, Bot: ${message.author.bot}`);
-        }
-        
-        // 除外ユーザーIDチェック
-        if (config.excludeUserIds.includes(message.author.id)) {
-          continue; // 除外ユーザーの場合はスキップ
-        }
-        
-        // 除外ユーザー名チェック（Webhook含む）
-        // 完全一致だけでなく、部分一致もチェック
-        const isExcludedByUsername = config.excludeUsernames.some(username => 
-          message.author.username.includes(username) || username.includes(message.author.username)
-        );
-        
-        if (isExcludedByUsername) {
-          console.log(`  [除外] ユーザー名: "${message.author.username}" が除外リストに該当`);
-          continue; // 除外ユーザー名の場合はスキップ
-        }
-        
-        // 除外キーワードチェック
-        if (shouldExcludeMessage(message.content, config.excludeKeywords)) {
-          continue; // 除外キーワードが含まれている場合はスキップ
-        }
-        
-        const messageUrl = `https://discord.com/channels/${guildId}/${channel.id}/${message.id}`;
-        
-        results.matches.push({
-          messageId: message.id,
-          channelId: channel.id,
-          guildId,
-          guildName,
-          channelName: channel.name,
-          author: message.author.username,
-          content: message.content,
-          messageUrl,
-          messageTime
-        });
+      const evaluation = await evaluateMessage(message, channel, guildId, guildName, rules, config);
+      if (evaluation && evaluation.staffAddressed) {
+        results.staffAddressedCount++;
+      } else if (evaluation) {
+        results.matches.push(evaluation.match);
       }
     }
 
     return results;
   } catch (error) {
     // 403エラー（アクセス権限なし）は警告として扱い、エラーカウントに含めない
-    if (error.message.includes('403')) {
+    if (error.status === 403) {
       return {
         channelName: channel.name,
         messageCount: 0,
@@ -341,18 +802,8 @@ async function processChannel(channel, guildId, guildName, config, cutoffTime) {
       };
     }
     
-    // 503エラー（タイムアウト）も警告として扱い、エラーカウントに含めない
-    if (error.message.includes('503') || error.message.includes('timeout')) {
-      return {
-        channelName: channel.name,
-        messageCount: 0,
-        matches: [],
-        error: null,  // 503エラーはnullとして扱う
-        skipped: true  // スキップフラグ
-      };
-    }
-    
-    // その他のエラーは通常通り記録
+    // その他のエラー（リトライ上限に達した 429/5xx/タイムアウトを含む）は記録する
+    // ウォーターマークは更新されないため、次回の実行で再取得される
     return {
       channelName: channel.name,
       messageCount: 0,
@@ -363,7 +814,7 @@ async function processChannel(channel, guildId, guildName, config, cutoffTime) {
 }
 
 // サーバーを並列処理する関数
-async function processGuild(guildId, guildIndex, totalGuilds, config, cutoffTime) {
+async function processGuild(guildId, guildIndex, totalGuilds, config, scanState) {
   const guildStartTime = Date.now();
   
   try {
@@ -373,37 +824,45 @@ async function processGuild(guildId, guildIndex, totalGuilds, config, cutoffTime
 
     // チャンネル一覧取得
     const channels = await discordRequest(`/guilds/${guildId}/channels`, config.discordToken);
-    const textChannels = channels.filter(ch => ch.type === 0); // テキストチャンネルのみ
     
-    console.log(`  ✓ テキストチャンネル数: ${textChannels.length}`);
-
-    // チャンネルを並列処理（5つずつバッチ処理）
-    const BATCH_SIZE = 5;
-    const allResults = [];
-
-    for (let i = 0; i < textChannels.length; i += BATCH_SIZE) {
-      const batch = textChannels.slice(i, i + BATCH_SIZE);
-      const batchResults = await Promise.all(
-        batch.map(channel => processChannel(channel, guildId, guild.name, config, cutoffTime))
-      );
-      allResults.push(...batchResults);
-
-      // 進捗表示
-      const processed = Math.min(i + BATCH_SIZE, textChannels.length);
-      console.log(`  処理中: ${processed}/${textChannels.length} チャンネル`);
-
-      // レート制限対策（バッチごとに少し待機）
-      await new Promise(resolve => setTimeout(resolve, 200));
-    }
+    // テキスト・アナウンスチャンネルとスレッド（フォーラム投稿を含む）
+    const { targets: scanTargets, activeThreadCount, archivedThreadCount } =
+      await listScanTargets(guildId, channels, config, scanState);
+
+    // メンション・チャンネルの名前の表示用に、ロール・チャンネル・スレッドの名前を登録
+    registerGuild(guildId, {
+      roles: guild.roles,
+      channels: [...channels, ...scanTargets.filter(target => target.threadName).map(target => ({ id: target.id, name: target.threadName }))]
+    });
+    const forumCount = channels.filter(ch => ch.type === CHANNEL_TYPES.GUILD_FORUM || ch.type === CHANNEL_TYPES.GUILD_MEDIA).length;
+    
+    console.log(`  ✓ 監視対象数: ${scanTargets.length} (チャンネル ${scanTargets.length - activeThreadCount - archivedThreadCount}, アクティブスレッド ${activeThreadCount}, アーカイブ済みスレッド ${archivedThreadCount}, フォーラム ${forumCount})`);
+
+    // 全サーバー共通のワークキューにチャンネルを投入（遅いチャンネルが他を待たせない）
+    const PROGRESS_INTERVAL = 100;
+    let processed = 0;
+
+    const allResults = await Promise.all(scanTargets.map(channel => 
+      scanState.scheduler.run(() => processChannel(channel, guildId, guild.name, config, scanState))
+        .then(result => {
+          processed++;
+          if (processed % PROGRESS_INTERVAL === 0) {
+            console.log(`  [${guild.name}] 処理中: ${processed}/${scanTargets.length} チャンネル (同時実行数: ${scanState.scheduler.concurrency})`);
+          }
+          return result;
+        })
+    ));
 
     const guildEndTime = Date.now();
     const guildExecutionTime = ((guildEndTime - guildStartTime) / 1000).toFixed(2);
-    console.log(`  ✓ 完了 (${guildExecutionTime}秒)`);
+    const guildMessageCount = allResults.reduce((sum, result) => sum + result.messageCount, 0);
+    console.log(`  ✓ [${guild.name}] 完了 (${guildExecutionTime}秒)`);
 
     return {
       guildId,
       guildName: guild.name,
-      channelCount: textChannels.length,
+      channelCount: scanTargets.length,
+      messageCount: guildMessageCount,
       results: allResults,
       executionTime: guildExecutionTime,
       error: null
@@ -415,6 +874,7 @@ async function processGuild(guildId, guildIndex, totalGuilds, config, cutoffTime
       guildId,
       guildName: null,
       channelCount: 0,
+      messageCount: 0,
       results: [],
       executionTime: 0,
       error: `${error.message}`
@@ -422,66 +882,682 @@ async function processGuild(guildId, guildIndex, totalGuilds, config, cutoffTime
   }
 }
 
-// メインロジック
-async function main() {
-  const startTime = Date.now();
-  console.log('='.repeat(60));
-  console.log('メンションなし支払い連絡通知システム - 実行開始');
-  console.log(`実行時刻: ${new Date().toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`);
-  console.log('='.repeat(60));
+// 検出したメッセージをログに表示
+function logMatch(match) {
+  console.log(`\n  🎯 キーワード検出!`);
+  console.log(`    - サーバー: ${match.guildName}`);
+  console.log(`    - チャンネル: #${match.channelName}${match.threadName ? ` > ${match.threadName}` : ''}`);
+  console.log(`    - 送信者: ${match.author}`);
+  console.log(`    - ルール: ${match.keywordMatch.rule} (「${match.keywordMatch.text}」)`);
+  console.log(`    - メッセージ: ${(match.content || match.keywordMatch.sourceText).substring(0, 50)}...`);
+  if (match.keywordMatch.source !== 'content') {
+    console.log(`    - 検出箇所: ${match.keywordMatch.sourceLabel}`);
+  }
+}
 
-  // 設定読み込み
-  const config = loadConfig();
+// ルーティングの条件（サーバー・チャンネル・キーワードルール）
+function routeContext(match) {
+  return {
+    guildId: match.guildId,
+    channel: match.channelTarget,
+    keywordRule: match.keywordMatch.rule
+  };
+}
 
-  // 必須設定のチェック
-  if (!config.discordToken) {
-    console.error('❌ エラー: DISCORD_BOT_TOKEN が設定されていません');
-    process.exit(1);
-  }
+// 検出したメッセージを送信先に通知し、追跡データに追加
+// options.mention: 先頭のメンション（Slack の表記、空文字列ならメンションなし）
+// 戻り値: 通知に成功したか（いずれかの送信先に送信できれば成功とし、失敗した送信先には再送しない）
+async function notifyMatch(slack, trackedData, match, options = {}) {
+  const slackMessage = buildAlertMessage(match, null, {
+    templates: slack.templates,
+    interactive: slack.interactive,
+    messageId: match.messageId,
+    mention: options.mention
+  });
+  const content = {
+    slack: slackMessage,
+    plain: buildPlainAlert(match, slack.templates),
+    data: buildAlertData(match)
+  };
 
-  if (!config.slackWebhookUrl) {
-    console.error('❌ エラー: SLACK_WEBHOOK_URL が設定されていません');
-    process.exit(1);
-  }
+  console.log(`\n  📨 通知: ${match.guildName} #${match.channelName} ${match.author} (${match.messageId})`);
+  const results = await slack.send('detection', content, routeContext(match));
 
-  if (config.guildIds.length === 0) {
-    console.error('❌ エラー: Discord Guild IDs が設定されていません');
-    process.exit(1);
+  for (const result of results) {
+    if (result.error) {
+      console.error(`    ❌ 通知エラー (${result.name}): ${result.error.message}`);
+    } else {
+      console.log(`    ✓ 通知送信完了 (${result.name})`);
+    }
+  }
+  const delivered = results.filter(result => !result.error);
+  if (delivered.length === 0) {
+    if (results.length === 0) {
+      console.error('    ❌ 送信先がありません（config.json の routes を確認してください）');
+    }
+    return false;
   }
 
-  console.log(`\n📊 設定情報:`);
-  console.log(`  - 監視サーバー数: ${config.guildIds.length}`);
-  console.log(`  - 監視キーワード数: ${config.keywords.length}`);
-  console.log(`  - 除外キーワード数: ${config.excludeKeywords.length}`);
-  console.log(`  - 除外ユーザー数: ${config.excludeUserIds.length}`);
-  console.log(`  - 除外ユーザー名数: ${config.excludeUsernames.length}`);
-  console.log(`  - 監視期間: 過去 ${config.checkIntervalHours} 時間`);
-  console.log(`  - 並列処理: 有効 (チャンネルごとに5並列)`);
-
-  // 監視期間の計算
-  const hoursAgo = config.checkIntervalHours * 60 * 60 * 1000;
-  const cutoffTime = Date.now() - hoursAgo;
+  trackAlert(trackedData, match, delivered, { mention: options.mention });
+  return true;
+}
 
-  console.log(`\n🔍 検索開始時刻: ${new Date(cutoffTime).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`);
+// 通知した検出を追跡データに追加
+// スレッド通知・元メッセージの更新は、Web API で投稿した最初の送信先（投稿のチャンネルとts）で行う
+// options.digest: ダイジェストの投稿をスレッドの親とする（元メッセージは更新せず、スレッド通知に対象のメッセージを示す）
+function trackAlert(trackedData, match, delivered, options = {}) {
+  const threadResult = delivered.find(result => result.posted && result.posted.ts);
+  const posted = threadResult ? threadResult.posted : { channel: null, ts: null };
+  const threadTs = posted.ts;
+
+  // 追跡メッセージとして保存
+  match.slackThreadTs = threadTs;
+  match.detectedAt = new Date().toISOString();
+
+  // 追跡データに追加
+  trackedData.messages.push({
+    discordMessageId: match.messageId,
+    discordChannelId: match.channelId,
+    discordGuildId: match.guildId,
+    discordChannel: match.channelTarget,
+    discordAuthorId: match.authorId,
+    slackChannelId: posted.channel,
+    slackThreadTs: threadTs,
+    destinations: delivered.map(result => result.name),
+    mention: options.mention,
+    digest: options.digest === true,
+    detectedAt: match.detectedAt,
+    lastCheckedAt: match.detectedAt,
+    notifiedReactions: [],
+    notifiedReplies: [],
+    // 編集・削除の検出と Slack の元メッセージの更新に使用
+    contentSnapshot: match.content,
+    editedTimestamp: match.editedTimestamp,
+    alert: {
+      guildName: match.guildName,
+      channelName: match.channelName,
+      threadName: match.threadName,
+      author: match.author,
+      authorUrl: match.authorUrl,
+      content: match.content,
+      keywordMatch: match.keywordMatch,
+      mentionNames: match.mentionNames,
+      images: match.images,
+      reason: match.reason,
+      messageUrl: match.messageUrl,
+      messageTime: match.messageTime
+    }
+  });
+  trackedData.notifiedMessageIds[match.messageId] = match.detectedAt;
+}
 
-  // サーバーを並列処理（3つずつ）
-  const GUILD_BATCH_SIZE = 3;
-  const allGuildResults = [];
+// 検出したメッセージを配信待ちに追加（通知済みとして記録し、通知は deliverPendingAlerts で行う）
+function queueAlert(trackedData, match, config) {
+  logMatch(match);
+  const urgentKeyword = findUrgentKeyword(config.alertPolicy, match);
+  if (urgentKeyword) {
+    console.log(`    - 🚨 緊急キーワード: 「${urgentKeyword}」`);
+  }
+  const queuedAt = new Date().toISOString();
+  trackedData.pendingAlerts.push({ match, urgent: Boolean(urgentKeyword), queuedAt });
+  trackedData.notifiedMessageIds[match.messageId] = queuedAt;
+}
 
-  for (let i = 0; i < config.guildIds.length; i += GUILD_BATCH_SIZE) {
-    const batch = config.guildIds.slice(i, i + GUILD_BATCH_SIZE);
-    const batchResults = await Promise.all(
-      batch.map((guildId, batchIndex) => 
-        processGuild(guildId, i + batchIndex, config.guildIds.length, config, cutoffTime)
-      )
-    );
-    allGuildResults.push(...batchResults);
+// ダイジェストを送信先ごとに送信し、各検出はダイジェストの投稿をスレッドの親として追跡する
+// （検出ごとの投稿はしないため、リアクション・返信などはダイジェストのスレッドにまとめて通知される）
+// 戻り値: ダイジェストを送信できなかった検出
+async function notifyDigest(slack, trackedData, alerts, policy) {
+  const groups = new Map();
+  for (const alert of alerts) {
+    const names = slack.route('detection', routeContext(alert.match));
+    const key = names.join(',');
+    if (!groups.has(key)) {
+      groups.set(key, { names, alerts: [] });
+    }
+    groups.get(key).alerts.push(alert);
+  }
+
+  const failed = [];
+  for (const group of groups.values()) {
+    console.log(`\n  📦 ダイジェスト: ${group.alerts.length}件 → ${group.names.join(', ') || '送信先なし'}`);
+    const results = await slack.sendTo(group.names, 'digest', buildDigestMessage(
+      group.alerts.map(alert => alert.match),
+      formatPolicyMention(policy.mention),
+      slack.templates
+    ));
+    for (const result of results) {
+      if (result.error) {
+        console.error(`    ❌ ダイジェストの送信エラー (${result.name}): ${result.error.message}`);
+      } else {
+        console.log(`    ✓ ダイジェスト送信完了 (${result.name})`);
+      }
+    }
+
+    const delivered = results.filter(result => !result.error);
+    if (delivered.length === 0) {
+      if (results.length === 0) {
+        console.error('    ❌ 送信先がありません（config.json の routes を確認してください）');
+      }
+      failed.push(...group.alerts);
+      continue;
+    }
+    const threadDelivered = delivered.filter(result => slack.tracksThreads(result.name));
+    if (threadDelivered.length === 0) {
+      continue;
+    }
+    for (const alert of group.alerts) {
+      trackAlert(trackedData, alert.match, threadDelivered, { mention: '', digest: true });
+    }
+  }
+  return failed;
+}
+
+// 配信待ちの検出を通知（夜間・ダイジェストの待ち時間で保留するものを除く）
+// 緊急の検出は urgentMention で個別に、それ以外は digest.threshold 件以上ならダイジェスト、未満なら mention で個別に通知する
+// 通知できなかった検出は配信待ちに残して次回の配信で再送する（追跡期間を過ぎたものは破棄する）
+// 戻り値: { delivered, held, nextDeliveryAt }
+async function deliverPendingAlerts(slack, trackedData, config, { holdForWindow = false } = {}) {
+  const policy = config.alertPolicy;
+  const expired = trackedData.pendingAlerts.filter(alert => isExpired({ detectedAt: alert.queuedAt }));
+  if (expired.length > 0) {
+    console.warn(`⚠️  ${TRACKING_HOURS}時間以上通知できなかった検出を破棄しました: ${expired.length}件`);
+  }
+  const pending = trackedData.pendingAlerts.filter(alert => !expired.includes(alert));
+  const { deliverable, held, nextDeliveryAt } = selectDeliverable(pending, policy, { holdForWindow });
+
+  const failed = [];
+  for (const alert of deliverable.filter(candidate => candidate.urgent)) {
+    if (!await notifyMatch(slack, trackedData, alert.match, { mention: formatPolicyMention(policy.urgentMention) })) {
+      failed.push(alert);
+    }
+  }
+  const normal = deliverable.filter(candidate => !candidate.urgent);
+  if (policy.digest && normal.length >= policy.digest.threshold) {
+    failed.push(...await notifyDigest(slack, trackedData, normal, policy));
+  } else {
+    for (const alert of normal) {
+      if (!await notifyMatch(slack, trackedData, alert.match, { mention: formatPolicyMention(policy.mention) })) {
+        failed.push(alert);
+      }
+    }
+  }
+
+  trackedData.pendingAlerts = [...held, ...failed];
+  if (held.length > 0) {
+    console.log(`\n🌙 配信を保留中: ${held.length}件（${isQuietHours(policy) ? '夜間' : 'ダイジェストの待ち時間'}）`);
+  }
+  return { delivered: deliverable.length - failed.length, held: held.length, nextDeliveryAt };
+}
+
+// 追跡メッセージのスレッドに通知
+// ダイジェストのスレッドには複数の検出の通知が並ぶため、先頭に対象のメッセージを示す
+function postThreadNotice(slack, trackedMsg, notice) {
+  const message = trackedMsg.digest
+    ? { ...notice, text: `${describeTrackedMessage(trackedMsg, slack.templates)}\n${notice.text}` }
+    : notice;
+  return slack.postThreadReply(trackedMsg.slackChannelId, trackedMsg.slackThreadTs, message);
+}
+
+// 追跡メッセージの状態の変化をスレッドに通知し、Slack の元メッセージを更新
+// 通知に成功した場合のみ changes を追跡データに反映する（失敗した場合は次回の実行で再度反映される）
+async function applyTrackedChange(slack, trackedMsg, notice, changes) {
+  try {
+    await postThreadNotice(slack, trackedMsg, notice);
+    // ダイジェストの投稿は複数の検出をまとめたものなので更新しない
+    if (trackedMsg.alert && !trackedMsg.digest) {
+      await slack.updateMessage(trackedMsg.slackChannelId, trackedMsg.slackThreadTs, buildTrackedAlert({ ...trackedMsg, ...changes }, slack.interactive, slack.templates));
+    }
+    console.log(`    ✓ Slackに反映完了`);
+  } catch (error) {
+    console.error(`    ❌ Slack反映エラー: ${error.message}`);
+    return false;
+  }
+
+  Object.assign(trackedMsg, changes);
+  return true;
+}
+
+// 追跡メッセージの編集・削除を Slack に反映
+// 削除: スレッドに通知し、元メッセージを削除済みの表示に更新
+// 編集: 保存済みの本文との差分をスレッドに通知し、元メッセージを編集後の本文に更新
+async function syncMessageState(slack, trackedMsg, activity, config) {
+  if (activity.deleted) {
+    console.log(`  🗑️  メッセージ削除検出: ${trackedMsg.discordMessageId}`);
+    await applyTrackedChange(slack, trackedMsg,
+      { text: slack.templates.t('thread.deleted') },
+      { deletedAt: new Date().toISOString() });
+    return;
+  }
+
+  const message = activity.message;
+  // 以前のバージョンで保存された追跡データはスナップショットがないため、現在の状態を記録するのみ
+  if (trackedMsg.contentSnapshot === undefined) {
+    trackedMsg.contentSnapshot = message.content;
+    trackedMsg.editedTimestamp = message.edited_timestamp || null;
+    return;
+  }
+  if (!message.edited_timestamp || message.edited_timestamp === trackedMsg.editedTimestamp) {
+    return;
+  }
+
+  // 埋め込みの展開などで本文が変わらない編集は通知しない
+  if (message.content === trackedMsg.contentSnapshot) {
+    trackedMsg.editedTimestamp = message.edited_timestamp;
+    return;
+  }
+
+  console.log(`  ✏️  メッセージ編集検出: ${trackedMsg.discordMessageId}`);
+  const mentionNames = await resolveMentionNames(
+    trackedMsg.discordGuildId,
+    [trackedMsg.contentSnapshot, message.content],
+    mergeMentionNames((trackedMsg.alert || {}).mentionNames, collectMentionNames(message)),
+    config.discordToken
+  );
+  const context = slack.templates.discordContext(mentionNames);
+  const diff = formatDiff(discordToPlain(trackedMsg.contentSnapshot, context), discordToPlain(message.content, context));
+  await applyTrackedChange(slack, trackedMsg,
+    { text: slack.templates.t('thread.edited', { diff: escapeMrkdwn(diff) }) },
+    { contentSnapshot: message.content, editedTimestamp: message.edited_timestamp });
+}
+
+// 追跡メッセージに適用するルール（チャンネル情報がない古い追跡データはサーバーのルールを使用）
+function getTrackedRules(config, trackedMsg) {
+  return trackedMsg.discordChannel
+    ? getChannelRules(config, trackedMsg.discordGuildId, trackedMsg.discordChannel)
+    : getGuildRules(config, trackedMsg.discordGuildId);
+}
+
+// 追跡メッセージのリアクションの追加・取り消しを Slack に通知
+// 対応済みルールに一致するスタッフのリアクションがあれば、追跡を終了して元メッセージを「対応済み」に更新
+async function syncReactions(slack, trackedMsg, reactions, config) {
+  trackedMsg.reactionUsernames = trackedMsg.reactionUsernames || {};
+
+  // リアクションしたユーザーの表示名（サーバーのニックネーム）
+  const displayNames = new Map();
+  for (const reaction of reactions.added) {
+    if (!displayNames.has(reaction.user.id)) {
+      displayNames.set(reaction.user.id, await resolveUserName(trackedMsg.discordGuildId, reaction.user, config.discordToken));
+    }
+  }
+
+  for (const reaction of reactions.added) {
+    const reactionKey = `${reaction.user.id}-${reaction.emoji}`;
+    const username = displayNames.get(reaction.user.id);
+    console.log(`  👍 新しいリアクション検出: ${username} が ${reaction.emoji} でリアクション`);
+
+    try {
+      await postThreadNotice(slack, trackedMsg, {
+        text: slack.templates.t('thread.reactionAdded', { user: escapeMrkdwn(username), emoji: reaction.emoji })
+      });
+      trackedMsg.notifiedReactions.push(reactionKey);
+      trackedMsg.reactionUsernames[reaction.user.id] = username;
+      console.log(`    ✓ Slackスレッドに通知完了`);
+    } catch (error) {
+      console.error(`    ❌ Slackスレッド通知エラー: ${error.message}`);
+    }
+  }
+
+  for (const reaction of reactions.removed) {
+    const reactionKey = `${reaction.userId}-${reaction.emoji}`;
+    const username = trackedMsg.reactionUsernames[reaction.userId] || reaction.userId;
+    console.log(`  ↩️  リアクション取り消し検出: ${username} の ${reaction.emoji}`);
+
+    try {
+      await postThreadNotice(slack, trackedMsg, {
+        text: slack.templates.t('thread.reactionRemoved', { user: escapeMrkdwn(username), emoji: reaction.emoji })
+      });
+      trackedMsg.notifiedReactions = trackedMsg.notifiedReactions.filter(key => key !== reactionKey);
+      console.log(`    ✓ Slackスレッドに通知完了`);
+    } catch (error) {
+      console.error(`    ❌ Slackスレッド通知エラー: ${error.message}`);
+    }
   }
 
+  // 対応済みリアクションの判定
+  const rules = getTrackedRules(config, trackedMsg);
+  if (rules.resolutionRules.length === 0) {
+    return;
+  }
+
+  for (const reaction of reactions.added) {
+    let rule;
+    try {
+      rule = await findResolutionRule(reaction.rawEmoji, reaction.user.id, trackedMsg.discordGuildId, rules.resolutionRules, config.discordToken);
+    } catch (error) {
+      console.error(`  ⚠️  対応済み判定エラー (${displayNames.get(reaction.user.id)}): ${error.message}`);
+      continue;
+    }
+    if (!rule) {
+      continue;
+    }
+
+    const username = displayNames.get(reaction.user.id);
+    console.log(`  ✅ 対応済み: ${username} が ${reaction.emoji} でリアクション`);
+    const resolution = {
+      rule: rule.name || '対応済み',
+      userId: reaction.user.id,
+      username,
+      emoji: reaction.emoji,
+      resolvedAt: new Date().toISOString()
+    };
+    await applyTrackedChange(slack, trackedMsg,
+      { text: slack.templates.t('thread.resolvedByReaction', { user: escapeMrkdwn(username), emoji: reaction.emoji }) },
+      { resolution });
+    return;
+  }
+}
+
+// 新しい返信を Slack スレッドに通知（Bot 自身の返信は除く）
+// 戻り値: 通知に失敗した最も古い返信のID（すべて成功した場合は null）
+async function notifyReplies(slack, trackedMsg, replies, botUser, config) {
+  let failedReplyId = null;
+  for (const reply of replies) {
+    if (botUser && reply.author.id === botUser.id) {
+      continue;
+    }
+    if (!trackedMsg.notifiedReplies.includes(reply.id)) {
+      // 新しい返信を検出
+      const username = await resolveUserName(trackedMsg.discordGuildId, reply.author, config.discordToken);
+      console.log(`  💬 新しい返信検出: ${username}`);
+      console.log(`    内容: ${reply.content.substring(0, 50)}...`);
+      
+      // Slackスレッドに通知
+      const mentionNames = await resolveMentionNames(trackedMsg.discordGuildId, [reply.content], reply.mentionNames, config.discordToken);
+      const replyMessage = {
+        text: slack.templates.t('thread.reply', {
+          user: escapeMrkdwn(username),
+          content: discordToMrkdwn(reply.content, slack.templates.discordContext(mentionNames))
+        })
+      };
+      
+      try {
+        await postThreadNotice(slack, trackedMsg, replyMessage);
+        trackedMsg.notifiedReplies.push(reply.id);
+        console.log(`    ✓ Slackスレッドに通知完了`);
+      } catch (error) {
+        console.error(`    ❌ Slackスレッド通知エラー: ${error.message}`);
+        if (!failedReplyId || compareSnowflakes(reply.id, failedReplyId) < 0) {
+          failedReplyId = reply.id;
+        }
+      }
+    }
+  }
+  return failedReplyId;
+}
+
+// 返信の中にスタッフの対応があれば記録（エスカレーションの対象外にする）
+// スタッフは staffMentionRules・resolutionRules のユーザー・ロール。どちらも未設定の場合は送信者以外の返信を対応とみなす
+async function recordStaffResponse(trackedMsg, replies, config) {
+  if (trackedMsg.staffRespondedAt) {
+    return;
+  }
+
+  const rules = getTrackedRules(config, trackedMsg);
+  const staffRules = [...rules.staffMentionRules, ...rules.resolutionRules];
+  for (const reply of replies) {
+    if (reply.author.id === trackedMsg.discordAuthorId) {
+      continue;
+    }
+    try {
+      if (staffRules.length === 0 || await findStaffRule(reply.author.id, trackedMsg.discordGuildId, staffRules, config.discordToken)) {
+        trackedMsg.staffRespondedAt = reply.timestamp;
+        console.log(`  🙋 スタッフの返信を確認: ${reply.author.username}`);
+        return;
+      }
+    } catch (error) {
+      console.error(`  ⚠️  スタッフ判定エラー (${reply.author.username}): ${error.message}`);
+    }
+  }
+}
+
+// 未対応のまま段階の時間が経過した追跡メッセージを再通知（段階ごとに1回）
+// 戻り値: 送信した再通知の数
+// Slack で「1時間後に再通知」が押されている間は再通知しない
+async function escalateUnanswered(slack, trackedMsg, config) {
+  if (!isUnanswered(trackedMsg) || isSnoozed(trackedMsg)) {
+    return 0;
+  }
+
+  let sentCount = 0;
+  for (const tier of getDueTiers(trackedMsg, config.escalation.tiers)) {
+    console.log(`  ⏰ エスカレーション: ${trackedMsg.discordMessageId} (${tier.afterHours}時間経過${tier.name ? ` / ${tier.name}` : ''})`);
+    const reminder = buildReminderMessage(trackedMsg, tier, slack.templates);
+    try {
+      await slack.postThreadReply(trackedMsg.slackChannelId, trackedMsg.slackThreadTs, {
+        ...reminder,
+        reply_broadcast: tier.broadcast === true
+      });
+      trackedMsg.escalatedTiers = [...(trackedMsg.escalatedTiers || []), tier.index];
+      sentCount++;
+      console.log(`    ✓ Slackスレッドに再通知完了`);
+    } catch (error) {
+      console.error(`    ❌ Slack再通知エラー: ${error.message}`);
+      continue;
+    }
+
+    // スレッドへの再通知は済んでいるため、別チャンネルへの投稿に失敗しても再送しない
+    if (tier.slackChannelId) {
+      try {
+        await slack.postToChannel(tier.slackChannelId, reminder);
+        console.log(`    ✓ ${tier.slackChannelId} に投稿完了`);
+      } catch (error) {
+        console.error(`    ❌ ${tier.slackChannelId} への投稿エラー: ${error.message}`);
+      }
+    }
+  }
+  return sentCount;
+}
+
+// Slack の「1時間後に再通知」の時刻を過ぎたメッセージを再通知（チャンネルにも送信）
+// 戻り値: 再通知したか
+async function remindSnoozed(slack, trackedMsg) {
+  if (!isSnoozeDue(trackedMsg) || trackedMsg.deletedAt) {
+    return false;
+  }
+
+  console.log(`  ⏰ 保留の再通知: ${trackedMsg.discordMessageId}`);
+  return applyTrackedChange(slack, trackedMsg, {
+    ...buildSnoozeReminderMessage(trackedMsg, slack.templates),
+    reply_broadcast: true
+  }, { snoozedUntil: null, snoozedBy: null });
+}
+
+// 追跡期間が終了する未対応のメッセージに期限切れを通知
+// 戻り値: 送信した通知の数
+async function notifyExpiredMessages(slack, trackedData, config) {
+  if (!config.escalation.expiredNotice || !slack.supportsThreads) {
+    return 0;
+  }
+
+  let sentCount = 0;
+  for (const trackedMsg of trackedData.messages) {
+    if (!isExpired(trackedMsg) || !isUnanswered(trackedMsg) || !trackedMsg.slackThreadTs) {
+      continue;
+    }
+    try {
+      await slack.postThreadReply(trackedMsg.slackChannelId, trackedMsg.slackThreadTs, buildExpiredMessage(trackedMsg, slack.templates));
+      sentCount++;
+      console.log(`  ⌛ 期限切れを通知: ${trackedMsg.discordMessageId}`);
+    } catch (error) {
+      console.error(`  ❌ 期限切れ通知エラー (${trackedMsg.discordMessageId}): ${error.message}`);
+    }
+  }
+  return sentCount;
+}
+
+// サーバーごとのスループット表示
+function formatGuildThroughput(guildResult, templates) {
+  const seconds = Number(guildResult.executionTime) || 0;
+  const channelsPerSecond = seconds > 0 ? (guildResult.channelCount / seconds).toFixed(1) : '-';
+  return templates.t('summary.throughputLine', {
+    guild: guildResult.guildName,
+    channels: guildResult.channelCount,
+    messages: guildResult.messageCount,
+    seconds: guildResult.executionTime,
+    rate: channelsPerSecond
+  });
+}
+
+// コマンドライン引数の値（--record <dir> など。指定がなければ null）
+function argValue(name) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) {
+    return null;
+  }
+  const value = process.argv[index + 1];
+  if (!value || value.startsWith('--')) {
+    throw new Error(`${name} にはディレクトリを指定してください`);
+  }
+  return value;
+}
+
+// 実行モードのオプション
+// --dry-run: Slack などに送信せず、送信する内容を表示する（追跡データは読み込みのみ）
+// --record <dir>: Discord API のレスポンスを記録する（--dry-run と併用できる）
+// --replay <dir>: 記録したレスポンスで Discord に接続せずに実行し、検出結果を expected.json と比較する（--dry-run を含む）
+// --update-expected: --replay の検出結果で expected.json を更新する
+function parseRunOptions() {
+  const record = argValue('--record');
+  const replay = argValue('--replay');
+  if (record && replay) {
+    throw new Error('--record と --replay は同時に指定できません');
+  }
+  return {
+    dryRun: process.argv.includes('--dry-run') || Boolean(replay),
+    record,
+    replay,
+    updateExpected: process.argv.includes('--update-expected')
+  };
+}
+
+// --replay: 検出結果を expected.json と比較（一致しなければ false）
+function checkExpectedMatches(player, matches, updateExpected) {
+  const expected = player.loadExpected();
+  if (!expected || updateExpected) {
+    player.saveExpected(matches);
+    console.log(`\n📝 expected.json を${expected ? '更新' : '作成'}しました (${matches.length}件)`);
+    return true;
+  }
+
+  const { added, missing } = compareMatches(expected, summarizeMatches(matches));
+  const describe = item => `${item.messageId} ルール「${item.rule}」（「${item.keyword}」${item.source}）`;
+  console.log('\n🧪 expected.json との比較:');
+  added.forEach(item => console.log(`  + 新たに検出: ${describe(item)}`));
+  missing.forEach(item => console.log(`  - 検出されなくなった: ${describe(item)}`));
+  if (added.length > 0 || missing.length > 0) {
+    console.log(`❌ 検出結果が expected.json と異なります (追加 ${added.length}件 / 不足 ${missing.length}件)`);
+    console.log('   意図した変更であれば --update-expected を指定して expected.json を更新してください');
+    return false;
+  }
+  console.log(`✓ 検出結果が expected.json と一致しました (${expected.length}件)`);
+  return true;
+}
+
+// メインロジック
+async function main() {
+  const startTime = Date.now();
+  const runOptions = parseRunOptions();
+  console.log('='.repeat(60));
+  console.log('メンションなし支払い連絡通知システム - 実行開始');
+  console.log(`実行時刻: ${new Date().toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`);
+  console.log('='.repeat(60));
+
+  // 設定読み込み・検証（再生時は Discord のトークン、dry-run 時は送信先の環境変数は不要）
+  const config = loadConfig({ requireSecrets: !runOptions.replay, requireDestinations: !runOptions.dryRun });
+  config.dryRun = runOptions.dryRun;
+
+  if (!printValidation(config.validation)) {
+    console.error('\n設定を確認してください（node src/discord-slack-notifier.js --check-config で詳細を確認できます）');
+    process.exit(1);
+  }
+
+  // Discord API のレスポンスの記録・再生
+  const recorder = runOptions.record ? createFixtureRecorder(runOptions.record) : null;
+  const player = runOptions.replay ? openFixturePlayer(runOptions.replay) : null;
+  useFixtures(recorder || player);
+  if (config.dryRun) {
+    console.log('\n📝 dry-run: 通知は送信せず、送信する内容を表示します（追跡データは保存しません）');
+  }
+  if (recorder) {
+    console.log(`📼 Discord API のレスポンスを記録します: ${recorder.dir}`);
+  }
+  if (player) {
+    console.log(`📼 記録した Discord API のレスポンスを再生します: ${player.dir} (記録日時: ${new Date(player.run.recordedAt).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })})`);
+  }
+
+  console.log(`\n📊 設定情報:`);
+  console.log(`  - 監視サーバー数: ${config.guildIds.length}`);
+  console.log(`  - 監視キーワードルール数: ${config.matcher.rules.length}`);
+  console.log(`  - 除外キーワード数: ${config.matcher.excludes.length}`);
+  console.log(`  - 除外ユーザー数: ${config.excludeUserIds.length}`);
+  console.log(`  - 除外ユーザー名数: ${config.excludeUsernames.length}`);
+  console.log(`  - スタッフメンションルール数: ${config.staffMentionRules.length}${config.staffMentionRules.length === 0 ? ' (メンション有無に関わらず通知)' : ''}`);
+  console.log(`  - 対応済みリアクションルール数: ${config.resolutionRules.length}`);
+  console.log(`  - サーバー別設定数: ${Object.keys(config.guildOverrides).length}`);
+  console.log(`  - 初回バックフィル: 過去 ${config.initialBackfillHours} 時間 (前回の続きがないチャンネルのみ)`);
+  console.log(`  - 並列処理: 適応型 (初期 ${config.concurrency.initial} / 最小 ${config.concurrency.min} / 最大 ${config.concurrency.max})`);
+  console.log(`  - 通知ポリシー: ${describeAlertPolicy(config.alertPolicy)}`);
+  console.log(`  - エスカレーション: ${config.escalation.tiers.length > 0 ? config.escalation.tiers.map(tier => `${tier.afterHours}時間後`).join(' → ') : 'なし'}${config.escalation.expiredNotice ? ' / 期限切れ通知あり' : ''}`);
+
+  // サーバーごとの有効なルール
+  console.log(`\n📋 サーバー別ルール:`);
+  for (const guildId of config.guildIds) {
+    const override = config.guildOverrides[guildId];
+    const label = override && override.name ? `${guildId} (${override.name})` : guildId;
+    console.log(`  - ${label}${override ? '' : ' [グローバル設定]'}`);
+    console.log(`      ${describeGuildRules(config, guildId)}`);
+  }
+
+  // 通知の送信先
+  const slack = createNotifier(config);
+  console.log(`  - 送信先:`);
+  slack.describe().forEach(line => console.log(`      ${line}`));
+  if (config.routes.length > 0) {
+    console.log(`  - ルート数: ${config.routes.length}`);
+  }
+  if (!slack.supportsThreads) {
+    console.warn('\n⚠️  警告: Slack の Web API の送信先（SLACK_BOT_TOKEN / SLACK_CHANNEL_ID）がないため、スレッド通知は行われません');
+    console.warn('   Webhook は投稿の ts を返さないため、リアクション・返信のスレッド通知は行われません');
+  }
+
+  // 既存の追跡メッセージとチャンネルごとのウォーターマークを読み込み
+  // 再生時は記録した実行開始時の追跡データを使用する
+  const storage = player
+    ? player.storage()
+    : (config.dryRun ? createReadOnlyStorage(createStorage()) : createStorage());
+  console.log(`\n💾 追跡データの保存先: ${storage.name} (${storage.location})`);
+  const trackedData = await loadTrackedMessages(storage);
+
+  // 新規チャンネルの読み込み起点（初回バックフィルの上限）
+  // 再生時は記録した実行と同じリクエストになるよう、記録時の実行開始時刻を使用する
+  const scanStartTime = player ? player.run.scanStartTime : Date.now();
+  const backfillTime = scanStartTime - config.initialBackfillHours * 60 * 60 * 1000;
+  const scanState = {
+    scheduler: createScheduler(config.concurrency),
+    watermarks: trackedData.channelWatermarks,
+    backfillAfterId: timestampToSnowflake(backfillTime),
+    scanStartTime,
+    scanStartId: timestampToSnowflake(scanStartTime)
+  };
+  if (recorder) {
+    recorder.saveRun({ recordedAt: new Date(scanStartTime).toISOString(), scanStartTime, trackedData });
+  }
+
+  console.log(`\n🔍 ウォーターマーク保存済みチャンネル数: ${Object.keys(trackedData.channelWatermarks).length}`);
+  console.log(`   新規チャンネルの検索開始時刻: ${new Date(backfillTime).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`);
+
+  // 全サーバーを同時に処理（チャンネル取得は共通のワークキューで同時実行数を制御）
+  const allGuildResults = await Promise.all(
+    config.guildIds.map((guildId, guildIndex) => 
+      processGuild(guildId, guildIndex, config.guildIds.length, config, scanState)
+    )
+  );
+
   // 結果を集計
   let totalChannels = 0;
   let totalMessages = 0;
   let matchedMessages = 0;
+  let staffAddressedMessages = 0;
   let skippedChannels = 0;
   const errors = [];
   const allMatches = [];
@@ -505,8 +1581,12 @@ async function main() {
       
       if (channelResult.error) {
         errors.push(`チャンネル ${channelResult.channelName}: ${channelResult.error}`);
+        continue; // エラー時はウォーターマークを進めない（次回再取得）
       }
 
+      trackedData.channelWatermarks[channelResult.channelId] = channelResult.latestMessageId;
+      staffAddressedMessages += channelResult.staffAddressedCount;
+
       if (channelResult.matches.length > 0) {
         allMatches.push(...channelResult.matches);
         matchedMessages += channelResult.matches.length;
@@ -514,199 +1594,144 @@ async function main() {
     }
   }
 
-  // 既存の追跡メッセージを読み込み
-  const trackedData = loadTrackedMessages();
-  
-  // 72時間以上経過したメッセージを削除
+  // 記録した実行の検出結果（--replay で比較する）
+  if (recorder) {
+    recorder.saveExpected(allMatches);
+  }
+
+  // 追跡期間を過ぎたメッセージを削除（未対応のものは期限切れを通知してから）
+  const expiredNoticeCount = await notifyExpiredMessages(slack, trackedData, config);
   cleanupOldMessages(trackedData);
+  cleanupNotifiedIndex(trackedData, config.checkIntervalHours);
 
-  // マッチしたメッセージをSlackに通知
+  // マッチしたメッセージを配信待ちに追加
+  let duplicateCount = 0;
+  
   for (const match of allMatches) {
-    console.log(`\n  🎯 キーワード検出!`);
-    console.log(`    - サーバー: ${match.guildName}`);
-    console.log(`    - チャンネル: #${match.channelName}`);
-    console.log(`    - 送信者: ${match.author}`);
-    console.log(`    - メッセージ: ${match.content.substring(0, 50)}...`);
-
-    // Slack通知（@channel メンション付き）
-    const slackMessage = {
-      text: '<!channel> 💰 支払い関連メッセージが検出されました',
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: '<!channel> :moneybag: *支払い関連メッセージ検出*'
-          }
-        },
-        {
-          type: 'divider'
-        },
-        {
-          type: 'section',
-          fields: [
-            {
-              type: 'mrkdwn',
-              text: `*サーバー:*\n${match.guildName}`
-            },
-            {
-              type: 'mrkdwn',
-              text: `*チャンネル:*\n#${match.channelName}`
-            },
-            {
-              type: 'mrkdwn',
-              text: `*送信者:*\n${match.author}`
-            },
-            {
-              type: 'mrkdwn',
-              text: `*送信時刻:*\n${new Date(match.messageTime).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`
-            }
-          ]
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `*メッセージ:*\n${match.content}`
-          }
-        },
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: `<${match.messageUrl}|:link: メッセージを開く>`
-          }
-        },
-        {
-          type: 'divider'
-        }
-      ]
-    };
-
-    try {
-      const slackResponse = await sendSlackNotification(config.slackWebhookUrl, slackMessage);
-      console.log(`    ✓ Slack通知送信完了`);
-      
-      // Slackのtimestampを抽出（スレッドIDとして使用）
-      let threadTs = null;
-      if (typeof slackResponse === 'string') {
-        try {
-          const parsed = JSON.parse(slackResponse);
-          threadTs = parsed.ts || null;
-        } catch (e) {
-          // JSON解析失敗の場合はnullのまま
-        }
-      }
-      
-      // 追跡メッセージとして保存
-      match.slackThreadTs = threadTs;
-      match.detectedAt = new Date().toISOString();
-      
-      // 追跡データに追加
-      trackedData.messages.push({
-        discordMessageId: match.messageId,
-        discordChannelId: match.channelId,
-        discordGuildId: match.guildId,
-        slackThreadTs: threadTs,
-        detectedAt: match.detectedAt,
-        lastCheckedAt: match.detectedAt,
-        notifiedReactions: [],
-        notifiedReplies: []
-      });
-    } catch (error) {
-      console.error(`    ❌ Slack通知エラー: ${error.message}`);
+    // 前回以前の実行で通知済みのメッセージはスキップ（再実行・期間の重なり対策）
+    if (isAlreadyNotified(trackedData, match.messageId)) {
+      duplicateCount++;
+      continue;
     }
+    
+    queueAlert(trackedData, match, config);
   }
   
+  if (duplicateCount > 0) {
+    console.log(`\n⏭️  通知済みのためスキップ: ${duplicateCount}件`);
+  }
+
+  // 配信待ち（今回の検出と、前回までに保留・失敗したもの）を通知
+  const delivery = await deliverPendingAlerts(slack, trackedData, config);
+  
+  // 追跡チェック中に異常終了しても再通知しないよう、検出結果を先に保存
+  await saveTrackedMessages(storage, trackedData);
+  
   // 既存の追跡メッセージのリアクション・返信をチェック
   console.log(`\n🔍 追跡中のメッセージをチェック中... (${trackedData.messages.length}件)`);
   
-  for (const trackedMsg of trackedData.messages) {
-    try {
-      // リアクションを取得
-      const reactions = await getMessageReactions(
-        trackedMsg.discordChannelId,
-        trackedMsg.discordMessageId,
-        config.discordToken
-      );
-      
-      // 新しいリアクションをチェック
-      for (const reaction of reactions) {
-        for (const user of reaction.users) {
-          const reactionKey = `${user.id}-${reaction.emoji}`;
-          
-          if (!trackedMsg.notifiedReactions.includes(reactionKey)) {
-            // 新しいリアクションを検出
-            console.log(`  👍 新しいリアクション検出: ${user.username} が ${reaction.emoji} でリアクション`);
-            
-            // Slackスレッドに通知
-            if (trackedMsg.slackThreadTs) {
-              const reactionMessage = {
-                text: `👍 ${user.username}さんが ${reaction.emoji} でリアクションしました`
-              };
-              
-              try {
-                await sendSlackThreadReply(config.slackWebhookUrl, trackedMsg.slackThreadTs, reactionMessage);
-                trackedMsg.notifiedReactions.push(reactionKey);
-                console.log(`    ✓ Slackスレッドに通知完了`);
-              } catch (error) {
-                console.error(`    ❌ Slackスレッド通知エラー: ${error.message}`);
-              }
-            }
-          }
+  // スレッド返信先がない追跡メッセージ（Webhookモードで検出したもの）は通知できないためスキップ
+  // Discord で削除済み・対応済み・誤検知のメッセージは追跡を終了している
+  const activeMessages = trackedData.messages.filter(isActiveTracked);
+  const threadedMessages = activeMessages.filter(trackedMsg => slack.supportsThreads && trackedMsg.slackThreadTs);
+
+  // Slack から Discord に送信した Bot 自身の返信は Slack に再通知しない（--serve モードのループ防止）
+  const botUser = threadedMessages.length > 0
+    ? await discordRequest('/users/@me', config.discordToken).catch(() => null)
+    : null;
+  const unthreadedCount = activeMessages.length - threadedMessages.length;
+  let escalationCount = 0;
+
+  // チャンネルごとにまとめ、1チャンネル1回の取得でリアクション・返信を確認
+  const trackedByChannel = new Map();
+  for (const trackedMsg of threadedMessages) {
+    if (!trackedByChannel.has(trackedMsg.discordChannelId)) {
+      trackedByChannel.set(trackedMsg.discordChannelId, []);
+    }
+    trackedByChannel.get(trackedMsg.discordChannelId).push(trackedMsg);
+  }
+
+  const channelChecks = await Promise.all(
+    Array.from(trackedByChannel, ([channelId, trackedMessages]) =>
+      scanState.scheduler.run(() => checkTrackedChannel(channelId, trackedMessages, config.discordToken))
+        .then(activities => ({ channelId, trackedMessages, activities }))
+        .catch(error => ({ channelId, trackedMessages, error }))
+    )
+  );
+  console.log(`  対象チャンネル数: ${trackedByChannel.size}`);
+
+  for (const channelCheck of channelChecks) {
+    if (channelCheck.error) {
+      // リトライしても解消しない一時エラー（5xx・タイムアウト）の場合は警告のみ
+      if (channelCheck.error.retryable) {
+        console.error(`  ⚠️  チャンネル ${channelCheck.channelId} の追跡チェックタイムアウト - スキップ`);
+      } else {
+        console.error(`  ⚠️  チャンネル ${channelCheck.channelId} の追跡チェックエラー: ${channelCheck.error.message}`);
+      }
+      continue;
+    }
+
+    for (const trackedMsg of channelCheck.trackedMessages) {
+      const activity = channelCheck.activities.get(trackedMsg.discordMessageId);
+      if (activity.error) {
+        if (activity.error.retryable) {
+          console.error(`  ⚠️  メッセージ ${trackedMsg.discordMessageId} のチェックタイムアウト - スキップ`);
+        } else {
+          console.error(`  ⚠️  メッセージ ${trackedMsg.discordMessageId} のチェックエラー: ${activity.error.message}`);
         }
+        continue;
       }
-      
-      // 返信を取得
-      const replies = await getMessageReplies(
-        trackedMsg.discordChannelId,
-        trackedMsg.discordMessageId,
-        config.discordToken
-      );
+
+      // 編集・削除をチェック（削除された場合は以降の確認を行わない）
+      await syncMessageState(slack, trackedMsg, activity, config);
+      if (activity.deleted) {
+        continue;
+      }
+
+      // リアクションの追加・取り消しと対応済みをチェック
+      await syncReactions(slack, trackedMsg, activity.reactions, config);
       
       // 新しい返信をチェック
-      for (const reply of replies) {
-        if (!trackedMsg.notifiedReplies.includes(reply.id)) {
-          // 新しい返信を検出
-          console.log(`  💬 新しい返信検出: ${reply.author.username}`);
-          console.log(`    内容: ${reply.content.substring(0, 50)}...`);
-          
-          // Slackスレッドに通知
-          if (trackedMsg.slackThreadTs) {
-            const replyMessage = {
-              text: `💬 返信: ${reply.author.username}\n「${reply.content}」`
-            };
-            
-            try {
-              await sendSlackThreadReply(config.slackWebhookUrl, trackedMsg.slackThreadTs, replyMessage);
-              trackedMsg.notifiedReplies.push(reply.id);
-              console.log(`    ✓ Slackスレッドに通知完了`);
-            } catch (error) {
-              console.error(`    ❌ Slackスレッド通知エラー: ${error.message}`);
-            }
-          }
-        }
-      }
+      // 通知に失敗した返信は、次回の確認位置をその直前に戻して再取得する
+      const failedReplyId = await notifyReplies(slack, trackedMsg, activity.replies, botUser, config);
       
-      // 最終チェック時刻を更新
+      // 確認位置と最終チェック時刻を更新
+      if (failedReplyId) {
+        const beforeFailed = (BigInt(failedReplyId) - 1n).toString();
+        trackedMsg.repliesCheckedUntil = minSnowflake(activity.latestMessageId, beforeFailed);
+        trackedMsg.threadCheckedUntil = activity.threadId
+          ? minSnowflake(activity.threadLatestMessageId, beforeFailed)
+          : null;
+      } else {
+        trackedMsg.repliesCheckedUntil = activity.latestMessageId;
+        trackedMsg.threadCheckedUntil = activity.threadLatestMessageId;
+      }
+      trackedMsg.discordThreadId = activity.threadId;
       trackedMsg.lastCheckedAt = new Date().toISOString();
-      
-      // レート制限対策（待機時間を1秒に増加）
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-    } catch (error) {
-      // 503エラー（タイムアウト）の場合は詳細ログをスキップ
-      if (error.message.includes('503') || error.message.includes('timeout')) {
-        console.error(`  ⚠️  メッセージ ${trackedMsg.discordMessageId} のチェックタイムアウト - スキップ`);
+
+      // スタッフの返信がないまま時間が経過していれば再通知
+      await recordStaffResponse(trackedMsg, activity.replies, config);
+      // 保留の再通知をした回は段階の再通知を次回に回す
+      if (await remindSnoozed(slack, trackedMsg)) {
+        escalationCount++;
       } else {
-        console.error(`  ⚠️  メッセージ ${trackedMsg.discordMessageId} のチェックエラー: ${error.message}`);
+        escalationCount += await escalateUnanswered(slack, trackedMsg, config);
       }
     }
   }
   
+  if (unthreadedCount > 0) {
+    console.warn(`  ⚠️  Slackスレッドがないため ${unthreadedCount}件 のリアクション・返信チェックをスキップしました`);
+    console.warn('     スレッド通知を有効にするには SLACK_BOT_TOKEN と SLACK_CHANNEL_ID を設定してください');
+  }
+  
+  // ワークキューの使用はここまで（レート制限の購読を解除）
+  scanState.scheduler.close();
+
   // 追跡メッセージデータを保存
-  saveTrackedMessages(trackedData);
+  await saveTrackedMessages(storage, trackedData);
   console.log(`✓ 追跡データを保存しました (${trackedData.messages.length}件)`);
+  await storage.close();
 
   // 実行結果サマリー
   const endTime = Date.now();
@@ -722,7 +1747,20 @@ async function main() {
   console.log(`アクセス不可チャンネル数: ${skippedChannels} (プライベートチャンネル)`);
   console.log(`確認メッセージ数: ${totalMessages}`);
   console.log(`キーワード検出数: ${matchedMessages}`);
+  console.log(`スタッフ宛てのため除外: ${staffAddressedMessages}`);
+  console.log(`通知済みスキップ数: ${duplicateCount}`);
+  console.log(`通知: ${delivery.delivered}件 / 配信待ち: ${delivery.held}件`);
+  console.log(`エスカレーション: ${escalationCount}件 / 期限切れ通知: ${expiredNoticeCount}件`);
   console.log(`エラー数: ${errors.length}`);
+  console.log(`同時実行数: 最終 ${scanState.scheduler.concurrency} / 最小 ${scanState.scheduler.stats.minConcurrency} / 最大 ${scanState.scheduler.stats.peakConcurrency} (429受信: ${scanState.scheduler.stats.rateLimited}回)`);
+
+  // サーバー別スループット
+  const throughputLines = allGuildResults
+    .filter(guildResult => !guildResult.error)
+    .map(guildResult => formatGuildThroughput(guildResult, config.templates));
+
+  console.log('\n⏱️  サーバー別スループット:');
+  throughputLines.forEach(line => console.log(`  ${line}`));
 
   if (errors.length > 0) {
     console.log('\n⚠️  エラー詳細:');
@@ -733,111 +1771,601 @@ async function main() {
 
   // Slackに実行サマリーを送信（確認メッセージ数が0より多い場合のみ）
   if (totalMessages > 0) {
-    const summaryBlocks = [
-      {
-        type: 'header',
-        text: {
-          type: 'plain_text',
-          text: '📊 Discord監視システム - 実行完了',
-          emoji: true
-        }
-      },
-      {
-        type: 'section',
-        fields: [
-          {
-            type: 'mrkdwn',
-            text: `*実行時間:*\n${executionTime}秒`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*監視サーバー数:*\n${config.guildIds.length}`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*監視チャンネル数:*\n${totalChannels}`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*アクセス可能:*\n${totalChannels - skippedChannels}`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*確認メッセージ数:*\n${totalMessages}`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*キーワード検出数:*\n${matchedMessages} 件`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*エラー数:*\n${errors.length}`
-          },
-          {
-            type: 'mrkdwn',
-            text: `*スキップ:*\n${skippedChannels} (権限なし)`
-          }
-        ]
-      }
+    const { t } = config.templates;
+    const summaryFields = [
+      { label: t('summary.executionTime'), value: t('summary.seconds', { value: executionTime }) },
+      { label: t('summary.guildCount'), value: `${config.guildIds.length}` },
+      { label: t('summary.channelCount'), value: `${totalChannels}` },
+      { label: t('summary.accessibleCount'), value: `${totalChannels - skippedChannels}` },
+      { label: t('summary.messageCount'), value: `${totalMessages}` },
+      { label: t('summary.matchedCount'), value: t('summary.matches', { value: matchedMessages }) },
+      { label: t('summary.errorCount'), value: `${errors.length}` },
+      { label: t('summary.skippedCount'), value: t('summary.skipped', { value: skippedChannels }) }
     ];
 
-    // エラーがある場合、エラー詳細を追加
-    if (errors.length > 0) {
-      summaryBlocks.push({
-        type: 'divider'
-      });
-      
-      summaryBlocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: ':warning: *エラー詳細:*'
-        }
-      });
-
-      // エラーを最大10件まで表示
-      const errorList = errors.slice(0, 10).map((error, index) => {
-        return `${index + 1}. ${error}`;
-      }).join('\n');
-
-      summaryBlocks.push({
+    // エラーは最大10件まで表示
+    const errorLines = errors.slice(0, 10).map((error, index) => `${index + 1}. ${error}`);
+    const codeBlock = (lines) => `\`\`\`${escapeMrkdwn(lines.join('\n'))}\`\`\``;
+
+    const summaryMessage = config.templates.render('summary', {
+      title: t('summary.title')
+    }, {
+      fields: summaryFields.map(field => ({
+        type: 'mrkdwn',
+        text: `*${field.label}:*\n${field.value}`
+      })),
+      throughput: throughputLines.length > 0 ? [{
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: `\`\`\`${errorList}\`\`\``
+          text: `*${t('summary.throughput')}:*\n${codeBlock(throughputLines)}`
         }
-      });
-
-      if (errors.length > 10) {
-        summaryBlocks.push({
+      }] : [],
+      errors: errors.length > 0 ? [
+        { type: 'divider' },
+        { type: 'section', text: { type: 'mrkdwn', text: `:warning: *${t('summary.errors')}:*` } },
+        { type: 'section', text: { type: 'mrkdwn', text: codeBlock(errorLines) } },
+        ...(errors.length > 10 ? [{
           type: 'context',
-          elements: [
-            {
-              type: 'mrkdwn',
-              text: `_他 ${errors.length - 10} 件のエラーがあります。詳細はRenderログを確認してください。_`
-            }
-          ]
-        });
+          elements: [{ type: 'mrkdwn', text: `_${t('summary.moreErrors', { count: errors.length - 10 })}_` }]
+        }] : [])
+      ] : []
+    });
+
+    const summaryText = [
+      ...(throughputLines.length > 0 ? [`${t('summary.throughput')}:`, ...throughputLines] : []),
+      ...(errors.length > 0 ? ['', `${t('summary.errors')}:`, ...errorLines] : [])
+    ].join('\n');
+
+    const results = await slack.send('summary', {
+      slack: summaryMessage,
+      plain: { title: t('summary.title'), text: summaryText, fields: summaryFields, url: null },
+      data: {
+        executionSeconds: Number(executionTime),
+        guildCount: config.guildIds.length,
+        channelCount: totalChannels,
+        skippedChannelCount: skippedChannels,
+        messageCount: totalMessages,
+        matchedCount: matchedMessages,
+        escalationCount,
+        expiredNoticeCount,
+        errors
+      }
+    });
+    for (const result of results) {
+      if (result.error) {
+        console.error(`\n❌ サマリーの送信エラー (${result.name}): ${result.error.message}`);
+      } else {
+        console.log(`\n✅ サマリー送信完了 (${result.name})`);
       }
     }
-
-    const summaryMessage = {
-      text: '📊 Discord監視システム - 実行完了',
-      blocks: summaryBlocks
-    };
-
-    await sendSlackNotification(config.slackWebhookUrl, summaryMessage);
-    console.log('\n✅ Slack通知送信完了');
   } else {
     console.log('\n⏭️  確認メッセージ数が0のため、Slack通知をスキップしました');
   }
+
+  if (player && !checkExpectedMatches(player, allMatches, runOptions.updateExpected)) {
+    process.exitCode = 1;
+  }
   
   console.log('✅ 実行完了');
   console.log('='.repeat(60));
 }
 
+// --serve: Slack Events API を受信し、検出通知のスレッドへの返信を Discord に投稿するサーバー
+function serve() {
+  console.log('='.repeat(60));
+  console.log('メンションなし支払い連絡通知システム - Slack 返信連携サーバー');
+  console.log('='.repeat(60));
+
+  const config = loadConfig({ serve: true });
+  if (!printValidation(config.validation)) {
+    process.exit(1);
+  }
+
+  const storage = createStorage();
+  const slack = createNotifier(config);
+  const server = createSlackEventsServer({ config, storage, slack });
+  const port = Number(process.env.PORT || 3000);
+
+  server.listen(port, () => {
+    console.log(`✓ ポート ${port} で待機中 (POST /slack/events, POST /slack/interactions, GET /health)`);
+    console.log(`  追跡データの保存先: ${storage.name} (${storage.location})`);
+  });
+
+  // Render などの停止シグナルで終了
+  process.on('SIGTERM', () => {
+    server.close(() => storage.close().then(() => process.exit(0)));
+  });
+}
+
+// Gateway モード（--gateway）
+// Discord Gateway に常時接続し、投稿・編集・削除・リアクション・返信を数秒以内に Slack に通知する
+// - キーワードの検出は Cron モードと同じ判定（evaluateMessage）を使用し、通知済みインデックスで重複を防ぐ
+// - 新しいセッションの開始時（起動時・再認証時）は、切断中の取りこぼしを Cron モードの1回分の実行で補う
+// - エスカレーション・期限切れ通知・ウォーターマークの保存は一定間隔の定期処理で行う
+// - 追跡データは処理が必要なイベントごとに読み込み・保存する
+//   保存時は storage がイベントの処理中に --serve のサーバーなどが保存した変更（ボタン操作・返信の通知済みIDなど）とマージする
+
+const GATEWAY_INTENTS = INTENTS.GUILDS | INTENTS.GUILD_MESSAGES | INTENTS.GUILD_MESSAGE_REACTIONS | INTENTS.MESSAGE_CONTENT;
+
+// Gateway モードの状態
+// guilds: サーバーID → { name, channels: Map<チャンネルID, チャンネル> }（GUILD_CREATE とチャンネル・スレッドのイベントで更新）
+// trackedIds: 追跡中のメッセージID（追跡データを読み込まずに返信・リアクションの対象か判定する）
+// pendingWatermarks: 未保存のチャンネルごとの最終メッセージID
+// scheduleDelivery(at): ダイジェストの待ち時間が終わる時刻に配信を予約する（runGateway で設定）
+function createGatewayState(config, slack, storage) {
+  return {
+    config,
+    slack,
+    storage,
+    botUser: null,
+    guilds: new Map(),
+    trackedIds: new Set(),
+    pendingWatermarks: new Map(),
+    scheduleDelivery: () => {}
+  };
+}
+
+// 追跡データを読み込み、追跡中のメッセージIDを更新
+async function loadGatewayData(state) {
+  const trackedData = await state.storage.load();
+  state.trackedIds = new Set(trackedData.messages.map(trackedMsg => trackedMsg.discordMessageId));
+  return trackedData;
+}
+
+// 未保存のウォーターマークを反映して追跡データを保存
+// （他のプロセスの変更とマージした結果が trackedData に反映されるため、追跡中のメッセージIDはマージ後の内容で更新する）
+async function saveGatewayData(state, trackedData) {
+  for (const [channelId, messageId] of state.pendingWatermarks) {
+    const current = trackedData.channelWatermarks[channelId];
+    if (!current || compareSnowflakes(messageId, current) > 0) {
+      trackedData.channelWatermarks[channelId] = messageId;
+    }
+  }
+  state.pendingWatermarks.clear();
+  await state.storage.save(trackedData);
+  state.trackedIds = new Set(trackedData.messages.map(trackedMsg => trackedMsg.discordMessageId));
+}
+
+// チャンネル・スレッド・ロールのキャッシュを更新
+function updateGatewayChannels(state, eventName, data) {
+  if (eventName === 'GUILD_CREATE') {
+    if (!state.config.guildIds.includes(data.id)) {
+      return;
+    }
+    const channels = new Map([...(data.channels || []), ...(data.threads || [])].map(ch => [ch.id, ch]));
+    state.guilds.set(data.id, { name: data.name, channels });
+    registerGuild(data.id, { roles: data.roles, channels: [...channels.values()] });
+    console.log(`  ✓ ${data.name}: ${channels.size} チャンネル・スレッド`);
+    return;
+  }
+  if (eventName === 'GUILD_DELETE') {
+    // unavailable は Discord 側の障害（キャッシュは維持する）
+    if (!data.unavailable) {
+      state.guilds.delete(data.id);
+    }
+    return;
+  }
+
+  const guild = state.guilds.get(data.guild_id);
+  if (!guild) {
+    return;
+  }
+  switch (eventName) {
+    case 'CHANNEL_CREATE':
+    case 'CHANNEL_UPDATE':
+    case 'THREAD_CREATE':
+    case 'THREAD_UPDATE':
+      guild.channels.set(data.id, data);
+      updateChannel(data.guild_id, data);
+      break;
+    case 'CHANNEL_DELETE':
+    case 'THREAD_DELETE':
+      guild.channels.delete(data.id);
+      removeChannel(data.guild_id, data.id);
+      break;
+    case 'THREAD_LIST_SYNC':
+      data.threads.forEach(thread => guild.channels.set(thread.id, thread));
+      registerGuild(data.guild_id, { channels: data.threads });
+      break;
+    case 'GUILD_ROLE_CREATE':
+    case 'GUILD_ROLE_UPDATE':
+      updateRole(data.guild_id, data.role);
+      break;
+    case 'GUILD_ROLE_DELETE':
+      removeRole(data.guild_id, data.role_id);
+      break;
+    default:
+  }
+}
+
+// メッセージのチャンネルを監視対象の形式で取得（キャッシュにないチャンネルは API で取得）
+// 監視対象外（includeChannels / excludeChannels、テキスト以外のチャンネル）は null
+async function getGatewayTarget(state, guildId, channelId) {
+  const guild = state.guilds.get(guildId);
+  if (!guild) {
+    return null;
+  }
+  let channel = guild.channels.get(channelId);
+  if (!channel) {
+    channel = await discordRequest(`/channels/${channelId}`, state.config.discordToken);
+    guild.channels.set(channelId, channel);
+  }
+
+  let target = null;
+  if (MESSAGE_CHANNEL_TYPES.includes(channel.type)) {
+    target = toScanTarget(channel);
+  } else if (THREAD_TYPES.includes(channel.type)) {
+    const parent = guild.channels.get(channel.parent_id);
+    if (parent && THREAD_PARENT_TYPES.includes(parent.type)) {
+      target = toScanTarget(channel, parent);
+    }
+  }
+  return target && isChannelIncluded(state.config, guildId, target) ? target : null;
+}
+
+// Slack スレッドに通知できる追跡中のメッセージ
+function findActiveTracked(state, trackedData, messageId) {
+  if (!state.slack.supportsThreads) {
+    return null;
+  }
+  return trackedData.messages.find(trackedMsg =>
+    trackedMsg.discordMessageId === messageId && trackedMsg.slackThreadTs && isActiveTracked(trackedMsg)
+  ) || null;
+}
+
+// 監視対象のメッセージをキーワード・除外ルールで判定（通知対象なら match を返す）
+async function detectGatewayMessage(state, message) {
+  const target = await getGatewayTarget(state, message.guild_id, message.channel_id);
+  if (!target) {
+    return { target: null, match: null };
+  }
+  const rules = getChannelRules(state.config, message.guild_id, target);
+  const guildName = state.guilds.get(message.guild_id).name;
+  const evaluation = await evaluateMessage(message, target, message.guild_id, guildName, rules, state.config);
+  return { target, match: evaluation && evaluation.match ? evaluation.match : null };
+}
+
+// 配信待ちの検出を通知し、ダイジェストの待ち時間で保留した場合は配信を予約する
+async function deliverGatewayAlerts(state, trackedData) {
+  const { nextDeliveryAt } = await deliverPendingAlerts(state.slack, trackedData, state.config, { holdForWindow: true });
+  if (nextDeliveryAt) {
+    state.scheduleDelivery(nextDeliveryAt);
+  }
+}
+
+// 新しいメッセージ: 追跡メッセージへの返信の通知と、キーワードの検出
+async function handleGatewayMessageCreate(state, message) {
+  if (state.botUser && message.author.id === state.botUser.id) {
+    return;
+  }
+  rememberMessageMembers(message.guild_id, message);
+
+  // 追跡メッセージへの返信（返信、または追跡メッセージから作成されたスレッド内の投稿。スレッドIDは元メッセージのID）
+  const repliedIds = [];
+  const reference = message.message_reference;
+  if (reference && reference.type !== MESSAGE_REFERENCE_FORWARD) {
+    repliedIds.push(reference.message_id);
+  }
+  if (message.type !== THREAD_STARTER_MESSAGE_TYPE) {
+    repliedIds.push(message.channel_id);
+  }
+
+  const { target, match } = await detectGatewayMessage(state, message);
+  const pending = state.pendingWatermarks.get(message.channel_id);
+  if (target && (!pending || compareSnowflakes(message.id, pending) > 0)) {
+    state.pendingWatermarks.set(message.channel_id, message.id);
+  }
+  if (!match && !repliedIds.some(id => state.trackedIds.has(id))) {
+    return;
+  }
+
+  const trackedData = await loadGatewayData(state);
+  for (const repliedId of repliedIds) {
+    const trackedMsg = findActiveTracked(state, trackedData, repliedId);
+    if (trackedMsg) {
+      const reply = toReply(message);
+      await notifyReplies(state.slack, trackedMsg, [reply], state.botUser, state.config);
+      await recordStaffResponse(trackedMsg, [reply], state.config);
+      break;
+    }
+  }
+
+  if (match && !isAlreadyNotified(trackedData, message.id)) {
+    queueAlert(trackedData, match, state.config);
+    await deliverGatewayAlerts(state, trackedData);
+  }
+  await saveGatewayData(state, trackedData);
+}
+
+// 編集: 追跡メッセージは Slack に反映し、それ以外は編集でキーワードが追加されたメッセージを検出する
+async function handleGatewayMessageUpdate(state, message) {
+  if (state.trackedIds.has(message.id)) {
+    // 埋め込みの展開などの部分的な更新（本文なし）は反映しない
+    if (message.content === undefined) {
+      return;
+    }
+    const trackedData = await loadGatewayData(state);
+    const trackedMsg = findActiveTracked(state, trackedData, message.id);
+    if (trackedMsg) {
+      await syncMessageState(state.slack, trackedMsg, { message, deleted: false }, state.config);
+      await saveGatewayData(state, trackedData);
+    }
+    return;
+  }
+
+  // 追跡期間を過ぎた古いメッセージの編集は対象外
+  const isRecent = Date.now() - snowflakeToTimestamp(message.id) < TRACKING_HOURS * 60 * 60 * 1000;
+  if (!message.author || !message.edited_timestamp || !isRecent || (state.botUser && message.author.id === state.botUser.id)) {
+    return;
+  }
+  rememberMessageMembers(message.guild_id, message);
+  const { match } = await detectGatewayMessage(state, message);
+  if (!match) {
+    return;
+  }
+  const trackedData = await loadGatewayData(state);
+  if (!isAlreadyNotified(trackedData, message.id)) {
+    queueAlert(trackedData, match, state.config);
+    await deliverGatewayAlerts(state, trackedData);
+    await saveGatewayData(state, trackedData);
+  }
+}
+
+// 削除: 追跡メッセージを削除済みとして Slack に反映
+async function handleGatewayMessageDelete(state, messageIds) {
+  if (!messageIds.some(id => state.trackedIds.has(id))) {
+    return;
+  }
+  const trackedData = await loadGatewayData(state);
+  for (const messageId of messageIds) {
+    const trackedMsg = findActiveTracked(state, trackedData, messageId);
+    if (trackedMsg) {
+      await syncMessageState(state.slack, trackedMsg, { deleted: true }, state.config);
+    }
+  }
+  await saveGatewayData(state, trackedData);
+}
+
+// リアクションの追加・取り消し: 追跡メッセージのリアクションを Slack に通知し、対応済みを判定
+async function handleGatewayReaction(state, eventName, data) {
+  if (!state.trackedIds.has(data.message_id)) {
+    return;
+  }
+  const trackedData = await loadGatewayData(state);
+  const trackedMsg = findActiveTracked(state, trackedData, data.message_id);
+  if (!trackedMsg) {
+    return;
+  }
+
+  const emoji = data.emoji ? data.emoji.name || '❓' : null;
+  const reactions = { added: [], removed: [] };
+  if (eventName === 'MESSAGE_REACTION_ADD') {
+    if (trackedMsg.notifiedReactions.includes(`${data.user_id}-${emoji}`)) {
+      return;
+    }
+    const user = data.member && data.member.user
+      ? data.member.user
+      : await discordRequest(`/users/${data.user_id}`, state.config.discordToken);
+    if (data.member) {
+      rememberMember(data.guild_id, data.member, user);
+    }
+    reactions.added.push({ emoji, rawEmoji: data.emoji, user: { id: user.id, username: user.username, global_name: user.global_name || null } });
+  } else {
+    // REMOVE: 1人分、REMOVE_EMOJI: 絵文字ごと、REMOVE_ALL: すべて
+    for (const key of trackedMsg.notifiedReactions) {
+      const separator = key.indexOf('-');
+      const userId = key.slice(0, separator);
+      const keyEmoji = key.slice(separator + 1);
+      const isRemoved = eventName === 'MESSAGE_REACTION_REMOVE_ALL' ||
+        (keyEmoji === emoji && (eventName === 'MESSAGE_REACTION_REMOVE_EMOJI' || userId === data.user_id));
+      if (isRemoved) {
+        reactions.removed.push({ emoji: keyEmoji, userId });
+      }
+    }
+    if (reactions.removed.length === 0) {
+      return;
+    }
+  }
+
+  await syncReactions(state.slack, trackedMsg, reactions, state.config);
+  await saveGatewayData(state, trackedData);
+}
+
+// Gateway のメッセージ・リアクションのイベントを処理
+async function handleGatewayEvent(state, eventName, data) {
+  switch (eventName) {
+    case 'MESSAGE_CREATE':
+      if (state.guilds.has(data.guild_id) && data.author) {
+        await handleGatewayMessageCreate(state, data);
+      }
+      return;
+    case 'MESSAGE_UPDATE':
+      if (state.guilds.has(data.guild_id)) {
+        await handleGatewayMessageUpdate(state, data);
+      }
+      return;
+    case 'MESSAGE_DELETE':
+      await handleGatewayMessageDelete(state, [data.id]);
+      return;
+    case 'MESSAGE_DELETE_BULK':
+      await handleGatewayMessageDelete(state, data.ids);
+      return;
+    case 'MESSAGE_REACTION_ADD':
+    case 'MESSAGE_REACTION_REMOVE':
+    case 'MESSAGE_REACTION_REMOVE_EMOJI':
+    case 'MESSAGE_REACTION_REMOVE_ALL':
+      await handleGatewayReaction(state, eventName, data);
+      return;
+    default:
+  }
+}
+
+// 定期処理: 夜間に保留した検出の配信、保留の再通知・エスカレーション・期限切れ通知と、ウォーターマークの保存
+async function runGatewayMaintenance(state) {
+  const trackedData = await loadGatewayData(state);
+  if (trackedData.pendingAlerts.length > 0) {
+    await deliverGatewayAlerts(state, trackedData);
+  }
+  const expiredNoticeCount = await notifyExpiredMessages(state.slack, trackedData, state.config);
+  cleanupOldMessages(trackedData);
+  cleanupNotifiedIndex(trackedData, state.config.checkIntervalHours);
+
+  let escalationCount = 0;
+  const threadedMessages = trackedData.messages
+    .filter(trackedMsg => isActiveTracked(trackedMsg) && state.slack.supportsThreads && trackedMsg.slackThreadTs);
+  for (const trackedMsg of threadedMessages) {
+    if (await remindSnoozed(state.slack, trackedMsg)) {
+      escalationCount++;
+    } else {
+      escalationCount += await escalateUnanswered(state.slack, trackedMsg, state.config);
+    }
+  }
+
+  await saveGatewayData(state, trackedData);
+  if (escalationCount > 0 || expiredNoticeCount > 0) {
+    console.log(`⏰ 定期処理: エスカレーション ${escalationCount}件 / 期限切れ通知 ${expiredNoticeCount}件`);
+  }
+}
+
+// 切断中の取りこぼしを Cron モードの1回分の実行（ウォーターマークからの取得・追跡チェック）で補う
+function runCatchUp() {
+  return new Promise((resolve) => {
+    console.log('\n🔁 切断中のメッセージを補完するため、Cron モードを1回実行します');
+    const child = spawn(process.execPath, [__filename], { stdio: 'inherit', env: process.env });
+    child.on('exit', (code) => {
+      console.log(code === 0 ? '✓ 補完の実行が完了しました\n' : `⚠️  補完の実行が異常終了しました (終了コード: ${code})\n`);
+      resolve();
+    });
+    child.on('error', (error) => {
+      console.error(`❌ 補完の実行エラー: ${error.message}`);
+      resolve();
+    });
+  });
+}
+
+function runGateway() {
+  console.log('='.repeat(60));
+  console.log('メンションなし支払い連絡通知システム - Gateway モード');
+  console.log('='.repeat(60));
+
+  const config = loadConfig();
+  if (!printValidation(config.validation)) {
+    console.error('\n設定を確認してください（node src/discord-slack-notifier.js --check-config で詳細を確認できます）');
+    process.exit(1);
+  }
+
+  const slack = createNotifier(config);
+  const storage = createStorage();
+  const state = createGatewayState(config, slack, storage);
+  console.log(`  - 監視サーバー数: ${config.guildIds.length}`);
+  console.log(`  - 送信先: ${slack.describe().join(' / ')}`);
+  console.log(`  - 追跡データの保存先: ${storage.name} (${storage.location})`);
+  console.log(`  - 取りこぼしの補完: ${config.gateway.catchUpOnConnect ? '新しいセッションの開始時' : 'なし'}`);
+
+  // 追跡データの読み込み・保存が重ならないよう、イベントと定期処理は1件ずつ処理する
+  let queue = loadGatewayData(state).catch(error => console.error(`❌ 追跡データの読み込みエラー: ${error.message}`));
+  const enqueue = (label, task) => {
+    queue = queue
+      .then(task)
+      .catch(error => console.error(`❌ ${label} の処理エラー: ${error.message}`));
+  };
+
+  const client = createGatewayClient({
+    token: config.discordToken,
+    intents: GATEWAY_INTENTS,
+    onDispatch: (eventName, data) => {
+      if (eventName === 'READY') {
+        state.botUser = data.user;
+        console.log(`✓ Gateway に接続しました (${data.user.username}, サーバー ${data.guilds.length})`);
+        // 新しいセッションでは切断中のイベントを受け取れないため補完する（セッション再開時は Discord が再送する）
+        if (config.gateway.catchUpOnConnect) {
+          enqueue('取りこぼしの補完', async () => {
+            await saveGatewayData(state, await loadGatewayData(state));
+            await runCatchUp();
+            await loadGatewayData(state);
+          });
+        }
+        return;
+      }
+      if (eventName === 'RESUMED') {
+        console.log('✓ Gateway のセッションを再開しました');
+        return;
+      }
+      // チャンネル・ロールのキャッシュはメッセージより先に反映する
+      if (eventName.startsWith('GUILD_') || eventName.startsWith('CHANNEL_') || eventName.startsWith('THREAD_')) {
+        updateGatewayChannels(state, eventName, data);
+        return;
+      }
+      enqueue(eventName, () => handleGatewayEvent(state, eventName, data));
+    },
+    onFatal: (error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+  // ダイジェストの待ち時間が終わったら配信する（予約済みなら最初の予約を優先）
+  let deliveryTimer = null;
+  state.scheduleDelivery = (at) => {
+    if (deliveryTimer) {
+      return;
+    }
+    deliveryTimer = setTimeout(() => {
+      deliveryTimer = null;
+      enqueue('検出通知の配信', async () => {
+        const trackedData = await loadGatewayData(state);
+        await deliverGatewayAlerts(state, trackedData);
+        await saveGatewayData(state, trackedData);
+      });
+    }, Math.max(0, at - Date.now()));
+  };
+
+  const maintenanceTimer = setInterval(() => {
+    enqueue('定期処理', () => runGatewayMaintenance(state));
+  }, config.gateway.maintenanceIntervalMinutes * 60 * 1000);
+
+  client.connect().catch(error => {
+    console.error('❌ 致命的なエラー:', error);
+    process.exit(1);
+  });
+
+  // Render などの停止シグナルで、未保存のウォーターマークを保存してから終了
+  const shutdown = () => {
+    console.log('\n🛑 Gateway モードを終了します');
+    clearInterval(maintenanceTimer);
+    clearTimeout(deliveryTimer);
+    client.close();
+    enqueue('終了処理', async () => {
+      await saveGatewayData(state, await loadGatewayData(state));
+      await storage.close();
+    });
+    queue.then(() => process.exit(0));
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
 // スクリプト実行
-main().catch(error => {
-  console.error('❌ 致命的なエラー:', error);
-  process.exit(1);
-});
+if (process.argv.includes('--serve')) {
+  serve();
+} else if (process.argv.includes('--gateway')) {
+  runGateway();
+} else if (process.argv.includes('--false-positives')) {
+  listFalsePositives().catch(error => {
+    console.error('❌ 致命的なエラー:', error);
+    process.exit(1);
+  });
+} else if (process.argv.includes('--check-config')) {
+  checkConfig()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      console.error('❌ 致命的なエラー:', error);
+      process.exit(1);
+    });
+} else {
+  main().catch(error => {
+    console.error('❌ 致命的なエラー:', error);
+    process.exit(1);
+  });
+}
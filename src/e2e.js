@@ -0,0 +1,263 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createMockServer } = require('./mock-server');
+const { compileTemplates } = require('./templates');
+
+// e2e テスト: モックサーバー（mock-server.js）に接続して通知システムを複数回実行し、
+// 検出通知・スレッド通知・元メッセージの更新・追跡データを確認する（ネットワーク不要）
+//
+// npm test（npm test -- --verbose で各実行のログを表示）
+//
+// 1回目: 検出（大文字を含む正規表現のルールを含む）・除外キーワード（本文の除外キーワードによる添付ファイル名の一致の除外を含む）・スタッフ宛ての除外・閲覧権限のないチャンネル・429・503 のリトライ
+// 2回目: リアクション・返信（Discord のスレッドを含む）のスレッド通知、編集による元メッセージの更新（通知済みのメッセージは再通知しない）
+// 3回目: 対応済みリアクションによる追跡の終了、新しい検出
+// 4回目: Incoming Webhook への送信（新しい追跡データ）
+// 5回目: ダイジェスト（新しい追跡データ。各検出は個別に投稿せずダイジェストのスレッドで追跡）
+// 6回目: ダイジェストのスレッドへのリアクションの通知
+// 再生: fixtures/e2e に記録した Discord のレスポンスを再生し、検出結果を expected.json と比較（ルールを変更した場合は差分で失敗）
+
+const NOTIFIER = path.join(__dirname, 'discord-slack-notifier.js');
+// 1回目と同様のメッセージ（Discord のスレッドを含む）をモックサーバーから --dry-run --record で記録したフィクスチャ
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'e2e');
+const RUN_TIMEOUT_MS = 60 * 1000;
+
+const GUILD_ID = '1000000000000000001';
+const STAFF_ROLE_ID = '1000000000000000101';
+const CHANNELS = {
+  general: '1000000000000000201',
+  billing: '1000000000000000202',
+  staffOnly: '1000000000000000203'
+};
+const STAFF = { id: '1000000000000000301', username: 'tanaka', global_name: '田中' };
+const CUSTOMER = { id: '1000000000000000302', username: 'customer', global_name: 'お客様' };
+const SLACK_CHANNEL_ID = 'CMOCK';
+
+const CONFIG = {
+  guildIds: [GUILD_ID],
+  keywordRules: [
+    { name: '振込', keywords: ['振込'] },
+    { name: '入金', keywords: ['入金'] },
+    { name: 'PayPay', regex: 'PayPay' }
+  ],
+  excludeKeywords: [{ keyword: 'サービスサイト', withinChars: 15 }, { keyword: 'テスト投稿' }],
+  staffMentionRules: [{ name: '経理', roleIds: [STAFF_ROLE_ID] }],
+  resolutionRules: [{ name: '経理', emoji: ['✅'], roleIds: [STAFF_ROLE_ID] }],
+  initialBackfillHours: 3
+};
+
+const verbose = process.argv.includes('--verbose');
+const failures = [];
+
+function check(label, ok) {
+  console.log(`  ${ok ? '✓' : '❌'} ${label}`);
+  if (!ok) {
+    failures.push(label);
+  }
+}
+
+// 通知システムを1回実行（Cron と同じ1回分の実行）
+function runNotifier(env, args = []) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [NOTIFIER, ...args], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    const timer = setTimeout(() => child.kill(), RUN_TIMEOUT_MS);
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (verbose) {
+        console.log(output);
+      }
+      resolve({ code, output });
+    });
+  });
+}
+
+async function main() {
+  const { t } = compileTemplates();
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payment-notifier-e2e-'));
+  const configPath = path.join(workDir, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify(CONFIG, null, 2));
+
+  const mock = createMockServer({
+    guilds: [{
+      id: GUILD_ID,
+      name: 'e2e',
+      roles: [{ id: STAFF_ROLE_ID, name: '経理' }],
+      channels: [
+        { id: CHANNELS.general, name: 'general' },
+        { id: CHANNELS.billing, name: 'billing' },
+        { id: CHANNELS.staffOnly, name: 'staff-only', forbidden: true }
+      ],
+      members: [
+        { user: STAFF, nick: '田中（経理）', roles: [STAFF_ROLE_ID] },
+        { user: CUSTOMER }
+      ]
+    }]
+  });
+  const { env: mockEnv } = await mock.listen();
+
+  // 実行環境の環境変数は引き継がない（本番の Discord・Slack に接続しないため）
+  const baseEnv = {
+    PATH: process.env.PATH,
+    TZ: process.env.TZ || 'Asia/Tokyo',
+    CONFIG_PATH: configPath,
+    DISCORD_BOT_TOKEN: 'mock',
+    DISCORD_API_BASE_URL: mockEnv.DISCORD_API_BASE_URL
+  };
+  const apiEnv = {
+    ...baseEnv,
+    SLACK_BOT_TOKEN: 'xoxb-mock',
+    SLACK_CHANNEL_ID: SLACK_CHANNEL_ID,
+    SLACK_API_BASE_URL: mockEnv.SLACK_API_BASE_URL,
+    STORAGE_PATH: path.join(workDir, 'tracked-messages.json')
+  };
+  const readTracked = () => JSON.parse(fs.readFileSync(apiEnv.STORAGE_PATH, 'utf8'));
+  const postsOf = (from, predicate) => mock.slack.posts.slice(from).filter(predicate);
+  // 検出通知はキーワードを強調表示するため、本文ではなくメッセージのリンクのIDで判定する
+  const contains = (message, text) => JSON.stringify(message).includes(text);
+
+  const runStep = async (label, env, args) => {
+    console.log(`\n▶ ${label}`);
+    const result = await runNotifier(env, args);
+    check(`終了コード 0 (${result.code})`, result.code === 0);
+    if (result.code !== 0 && !verbose) {
+      console.log(result.output);
+    }
+    return result;
+  };
+
+  try {
+    // 1回目
+    const greeting = mock.postMessage(CHANNELS.general, { author: CUSTOMER, content: 'こんにちは' });
+    const transfer = mock.postMessage(CHANNELS.general, { author: CUSTOMER, content: '本日振込しました。ご確認お願いします' });
+    const excluded = mock.postMessage(CHANNELS.general, { author: CUSTOMER, content: 'サービスサイトから入金しました' });
+    const addressed = mock.postMessage(CHANNELS.general, { author: CUSTOMER, content: `<@&${STAFF_ROLE_ID}> 入金しました`, mentionRoles: [STAFF_ROLE_ID] });
+    const excludedAttachment = mock.postMessage(CHANNELS.general, { author: CUSTOMER, content: 'テスト投稿です', attachments: [{ id: '1', filename: '振込明細.png', url: 'https://cdn.example.com/1.png' }] });
+    const paypay = mock.postMessage(CHANNELS.general, { author: CUSTOMER, content: 'PAYPAYで送りました' });
+    const deposit = mock.postMessage(CHANNELS.billing, { author: CUSTOMER, content: '入金の確認をお願いします' });
+    mock.failRequests({ path: `/guilds/${GUILD_ID}/channels`, status: 429 });
+    mock.failRequests({ path: `/channels/${CHANNELS.billing}/messages?`, status: 503 });
+
+    let from = mock.slack.posts.length;
+    await runStep('1回目: 検出と除外', apiEnv);
+    const transferPost = postsOf(from, post => !post.thread_ts && contains(post, transfer.id))[0];
+    const depositPost = postsOf(from, post => !post.thread_ts && contains(post, deposit.id))[0];
+    check('キーワードを含むメッセージを通知', Boolean(transferPost));
+    check('503 のリトライ後に取得したメッセージを通知', Boolean(depositPost));
+    check('大文字の正規表現のルールは大文字・小文字を区別せずに一致', postsOf(from, post => !post.thread_ts && contains(post, paypay.id)).length === 1);
+    check('キーワードのないメッセージは通知しない', postsOf(from, post => contains(post, greeting.id)).length === 0);
+    check('除外キーワードの近くのキーワードは通知しない', postsOf(from, post => contains(post, excluded.id)).length === 0);
+    check('本文にメッセージ全体の除外キーワードがあれば添付ファイル名のキーワードも通知しない', postsOf(from, post => contains(post, excludedAttachment.id)).length === 0);
+    check('スタッフ宛てのメッセージは通知しない', postsOf(from, post => contains(post, addressed.id)).length === 0);
+    check('実行結果のサマリーを送信', postsOf(from, post => post.text === t('summary.title')).length === 1);
+    check('429 の後に再試行', mock.requests.filter(request => request === `GET /guilds/${GUILD_ID}/channels`).length === 2);
+    check('閲覧権限のないチャンネルはスキップ', !JSON.stringify(readTracked().channelWatermarks).includes(CHANNELS.staffOnly));
+    check('検出したメッセージを追跡', readTracked().messages.length === 3);
+
+    // 2回目
+    mock.addReaction(CHANNELS.general, transfer.id, '👀', STAFF);
+    mock.postMessage(CHANNELS.general, { author: STAFF, content: '確認します', replyTo: transfer.id });
+    mock.editMessage(CHANNELS.billing, deposit.id, '入金の確認をお願いします（追記: 10,000円）');
+    mock.createThread(CHANNELS.billing, deposit.id, '入金の確認');
+    mock.postMessage(deposit.id, { author: STAFF, content: 'スレッドで確認します' });
+
+    from = mock.slack.posts.length;
+    let updatesFrom = mock.slack.updates.length;
+    await runStep('2回目: リアクション・返信・編集', apiEnv);
+    const transferThread = postsOf(from, post => transferPost && post.thread_ts === transferPost.ts);
+    check('リアクションをスレッドに通知', transferThread.some(post => contains(post, '👀')));
+    check('返信をスレッドに通知', transferThread.some(post => contains(post, '確認します')));
+    check('スレッドの返信をスレッドに通知', postsOf(from, post => depositPost && post.thread_ts === depositPost.ts && contains(post, 'スレッドで確認します')).length === 1);
+    check('編集で元のメッセージを更新', mock.slack.updates.slice(updatesFrom).some(update => depositPost && update.ts === depositPost.ts && contains(update, '10,000円')));
+    check('通知済みのメッセージは再通知しない', postsOf(from, post => !post.thread_ts && contains(post, transfer.id)).length === 0);
+
+    // 3回目
+    mock.addReaction(CHANNELS.general, transfer.id, '✅', STAFF);
+    const additional = mock.postMessage(CHANNELS.general, { author: CUSTOMER, content: '追加で入金しました' });
+
+    from = mock.slack.posts.length;
+    updatesFrom = mock.slack.updates.length;
+    await runStep('3回目: 対応済みと新しい検出', apiEnv);
+    const resolved = readTracked().messages.find(message => message.discordMessageId === transfer.id);
+    check('対応済みリアクションで追跡を終了', Boolean(resolved && resolved.resolution));
+    check('対応済みをスレッドに通知', postsOf(from, post => transferPost && post.thread_ts === transferPost.ts && contains(post, '✅')).length > 0);
+    check('対応済みで元のメッセージを更新', mock.slack.updates.slice(updatesFrom).some(update => transferPost && update.ts === transferPost.ts));
+    check('新しいメッセージを通知', postsOf(from, post => !post.thread_ts && contains(post, additional.id)).length === 1);
+
+    // 4回目
+    const webhookEnv = {
+      ...baseEnv,
+      SLACK_WEBHOOK_URL: mockEnv.SLACK_WEBHOOK_URL,
+      STORAGE_PATH: path.join(workDir, 'tracked-messages-webhook.json')
+    };
+    await runStep('4回目: Incoming Webhook', webhookEnv);
+    check('Webhook に検出通知を送信', mock.slack.webhooks.some(message => contains(message, transfer.id)));
+    check('Webhook にサマリーを送信', mock.slack.webhooks.some(message => message.text === t('summary.title')));
+
+    // 5回目
+    const digestConfigPath = path.join(workDir, 'config-digest.json');
+    fs.writeFileSync(digestConfigPath, JSON.stringify({ ...CONFIG, alertPolicy: { mention: 'none', digest: { threshold: 2 } } }, null, 2));
+    const digestEnv = {
+      ...apiEnv,
+      CONFIG_PATH: digestConfigPath,
+      STORAGE_PATH: path.join(workDir, 'tracked-messages-digest.json')
+    };
+    const readDigestTracked = () => JSON.parse(fs.readFileSync(digestEnv.STORAGE_PATH, 'utf8'));
+
+    from = mock.slack.posts.length;
+    await runStep('5回目: ダイジェスト', digestEnv);
+    const digestPosts = postsOf(from, post => !post.thread_ts && post.text !== t('summary.title'));
+    const digestPost = digestPosts[0];
+    check('ダイジェストを1件だけ送信', digestPosts.length === 1 && contains(digestPost, transfer.id) && contains(digestPost, paypay.id));
+    const digestTracked = readDigestTracked().messages;
+    check('各検出をダイジェストのスレッドで追跡', digestTracked.length > 1 && digestTracked.every(message => digestPost && message.digest && message.slackThreadTs === digestPost.ts));
+
+    // 6回目
+    mock.addReaction(CHANNELS.general, paypay.id, '👀', STAFF);
+
+    from = mock.slack.posts.length;
+    updatesFrom = mock.slack.updates.length;
+    await runStep('6回目: ダイジェストのスレッド通知', digestEnv);
+    check('リアクションを対象のメッセージを示してダイジェストのスレッドに通知', postsOf(from, post => digestPost && post.thread_ts === digestPost.ts && contains(post, paypay.id) && contains(post, '👀')).length === 1);
+    check('ダイジェストの投稿は更新しない', !mock.slack.updates.slice(updatesFrom).some(update => digestPost && update.ts === digestPost.ts));
+
+    // 再生（Discord・Slack に接続しない）
+    const fixtureConfigPath = path.join(FIXTURES_DIR, 'config.json');
+    const replayEnv = { PATH: process.env.PATH, TZ: baseEnv.TZ, CONFIG_PATH: fixtureConfigPath };
+    const replayed = await runStep('再生: 記録したフィクスチャ', replayEnv, ['--replay', FIXTURES_DIR]);
+    check('検出結果が expected.json と一致', replayed.output.includes('expected.json と一致しました'));
+
+    const fixtureConfig = JSON.parse(fs.readFileSync(fixtureConfigPath, 'utf8'));
+    const changedConfigPath = path.join(workDir, 'config-replay.json');
+    fs.writeFileSync(changedConfigPath, JSON.stringify({
+      ...fixtureConfig,
+      keywordRules: fixtureConfig.keywordRules.filter(rule => rule.name !== 'PayPay')
+    }, null, 2));
+    console.log('\n▶ 再生: キーワードルールを変更');
+    const changed = await runNotifier({ ...replayEnv, CONFIG_PATH: changedConfigPath }, ['--replay', FIXTURES_DIR]);
+    check(`expected.json と異なれば終了コード 1 (${changed.code})`, changed.code === 1);
+    check('検出されなくなったメッセージを表示', changed.output.includes('検出されなくなった') && changed.output.includes('ルール「PayPay」'));
+  } finally {
+    await mock.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  console.log('');
+  if (failures.length > 0) {
+    console.log(`❌ e2e テスト失敗 (${failures.length}件)`);
+    process.exit(1);
+  }
+  console.log('✅ e2e テスト成功');
+}
+
+main().catch(error => {
+  console.error('❌ 致命的なエラー:', error);
+  process.exit(1);
+});
@@ -0,0 +1,123 @@
+const { escapeMrkdwn } = require('./slack-mrkdwn');
+
+// 未対応の支払い連絡のエスカレーション
+// スタッフの返信・対応済みリアクションがないまま一定時間が経過した追跡メッセージについて、
+// 元の Slack スレッドに再通知する（段階ごとに1回）。追跡期間が終了した時点で未対応なら期限切れを通知する
+//
+// config.json の例:
+//   "escalation": {
+//     "tiers": [
+//       { "name": "再通知", "afterHours": 6, "mentions": ["here"] },
+//       { "name": "経理リーダー", "afterHours": 24, "mentions": ["S0123456789"], "slackChannelId": "C0123456789" }
+//     ],
+//     "expiredNotice": true
+//   }
+//
+// mentions: Slack のユーザーID（U...）、ユーザーグループID（S...）、"here"、"channel"
+// slackChannelId: 指定するとスレッドへの再通知に加えて、そのチャンネルにも投稿する
+// broadcast: true の場合、スレッドへの再通知を「チャンネルにも送信」する
+
+// 追跡期間（この時間を過ぎると追跡を終了する）
+const TRACKING_HOURS = 72;
+
+// Slack のメンション表記
+function formatMention(mention) {
+  if (mention === 'here' || mention === 'channel') {
+    return `<!${mention}>`;
+  }
+  if (mention.startsWith('S')) {
+    return `<!subteam^${mention}>`;
+  }
+  return `<@${mention}>`;
+}
+
+// スタッフの対応がない（返信・対応済み・誤検知・削除のいずれもない）追跡メッセージか
+function isUnanswered(trackedMsg) {
+  return !trackedMsg.staffRespondedAt && !trackedMsg.resolution && !trackedMsg.falsePositive && !trackedMsg.deletedAt;
+}
+
+// Slack の「1時間後に再通知」で再通知を保留中か
+function isSnoozed(trackedMsg, now = Date.now()) {
+  return Boolean(trackedMsg.snoozedUntil) && new Date(trackedMsg.snoozedUntil).getTime() > now;
+}
+
+// 再通知の時刻を過ぎたスヌーズか
+function isSnoozeDue(trackedMsg, now = Date.now()) {
+  return Boolean(trackedMsg.snoozedUntil) && !isSnoozed(trackedMsg, now);
+}
+
+// 経過時間に達していて、まだ通知していない段階
+function getDueTiers(trackedMsg, tiers, now = Date.now()) {
+  const elapsedHours = (now - new Date(trackedMsg.detectedAt).getTime()) / (60 * 60 * 1000);
+  const notified = trackedMsg.escalatedTiers || [];
+  return tiers
+    .map((tier, index) => ({ ...tier, index }))
+    .filter(tier => elapsedHours >= tier.afterHours && !notified.includes(tier.index));
+}
+
+// 元のメッセージへのリンク（Slack のスレッドの permalink は API で取得が必要なため Discord のリンクを使用）
+function describeTrackedMessage(trackedMsg, templates) {
+  const alert = trackedMsg.alert;
+  if (!alert) {
+    return templates.t('escalation.messageId', { id: trackedMsg.discordMessageId });
+  }
+  return templates.t('escalation.message', {
+    guild: escapeMrkdwn(alert.guildName),
+    channel: escapeMrkdwn(alert.channelName),
+    author: escapeMrkdwn(alert.author),
+    url: alert.messageUrl
+  });
+}
+
+// エスカレーションの通知
+function buildReminderMessage(trackedMsg, tier, templates) {
+  const elapsedHours = Math.floor((Date.now() - new Date(trackedMsg.detectedAt).getTime()) / (60 * 60 * 1000));
+  const mentions = (tier.mentions || []).map(formatMention).join(' ');
+  return {
+    text: templates.t('escalation.reminder', {
+      mentions: mentions ? `${mentions} ` : '',
+      hours: elapsedHours,
+      tier: tier.name ? templates.t('escalation.tier', { name: tier.name }) : '',
+      message: describeTrackedMessage(trackedMsg, templates)
+    })
+  };
+}
+
+// スヌーズ終了の再通知（スレッドからチャンネルにも送信する）
+function buildSnoozeReminderMessage(trackedMsg, templates) {
+  return {
+    text: templates.t('escalation.snoozeReminder', {
+      snoozedBy: trackedMsg.snoozedBy ? templates.t('escalation.snoozedBy', { user: escapeMrkdwn(trackedMsg.snoozedBy) }) : '',
+      message: describeTrackedMessage(trackedMsg, templates)
+    })
+  };
+}
+
+// 期限切れの通知
+function buildExpiredMessage(trackedMsg, templates) {
+  return {
+    text: templates.t('escalation.expired', {
+      hours: TRACKING_HOURS,
+      message: describeTrackedMessage(trackedMsg, templates)
+    })
+  };
+}
+
+// 追跡期間を過ぎたか
+function isExpired(trackedMsg, now = Date.now()) {
+  return now - new Date(trackedMsg.detectedAt).getTime() >= TRACKING_HOURS * 60 * 60 * 1000;
+}
+
+module.exports = {
+  TRACKING_HOURS,
+  formatMention,
+  isUnanswered,
+  isSnoozed,
+  isSnoozeDue,
+  isExpired,
+  getDueTiers,
+  describeTrackedMessage,
+  buildReminderMessage,
+  buildSnoozeReminderMessage,
+  buildExpiredMessage
+};
@@ -0,0 +1,228 @@
+const { discordRequest } = require('./discord-api');
+
+// サーバーごとのメンバー・ロール・チャンネルの名前（キャッシュ付き）
+// 検出通知・スレッド通知で、送信者をサーバーのニックネームで表示し、
+// 本文中のメンション（<@id>・<@&id>・<#id>）を名前に変換するために使用する
+// - ロール・チャンネル: processGuild（Cron）・GUILD_CREATE（Gateway）で取得済みの一覧を登録し、ないものは API で取得する
+// - メンバー: 必要になったときに API で取得する（Gateway のイベントに含まれるメンバー情報も登録する）
+
+// Discord のプロフィールのURL
+const PROFILE_URL = 'https://discord.com/users';
+
+// メンバーのキャッシュの有効期間（Gateway モードでニックネーム・ロールの変更を反映するため）
+const MEMBER_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// API で取得したチャンネル名のキャッシュの有効期間（Gateway モードで後から閲覧できるようになったチャンネルを反映するため）
+const CHANNEL_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// サーバーID → { roles: Map<ロールID, 名前>, channels: Map<チャンネルID, 名前>, rolesRequest }
+const guildDirectories = new Map();
+
+// guildId:userId → { expiresAt, request: Promise<member | null> }
+const memberCache = new Map();
+
+// channelId → { expiresAt, request: Promise<名前 | null> }（登録されていないチャンネルの API での取得）
+const channelRequests = new Map();
+
+function getDirectory(guildId) {
+  if (!guildDirectories.has(guildId)) {
+    guildDirectories.set(guildId, { roles: new Map(), channels: new Map(), rolesRequest: null });
+  }
+  return guildDirectories.get(guildId);
+}
+
+// サーバーのロール・チャンネル・スレッドを登録
+// roles: /guilds/{id} の roles、channels: /guilds/{id}/channels やスレッドの一覧
+function registerGuild(guildId, { roles, channels }) {
+  const directory = getDirectory(guildId);
+  if (roles) {
+    directory.roles = new Map(roles.map(role => [role.id, role.name]));
+  }
+  for (const channel of channels || []) {
+    directory.channels.set(channel.id, channel.name);
+  }
+}
+
+// ロール・チャンネルの作成・更新・削除を反映（Gateway のイベント）
+function updateRole(guildId, role) {
+  getDirectory(guildId).roles.set(role.id, role.name);
+}
+
+function removeRole(guildId, roleId) {
+  getDirectory(guildId).roles.delete(roleId);
+}
+
+function updateChannel(guildId, channel) {
+  getDirectory(guildId).channels.set(channel.id, channel.name);
+}
+
+function removeChannel(guildId, channelId) {
+  getDirectory(guildId).channels.delete(channelId);
+}
+
+// イベントに含まれるメンバー情報を登録（member.user がない場合は user を指定）
+function rememberMember(guildId, member, user = member.user) {
+  if (!user) {
+    return;
+  }
+  memberCache.set(`${guildId}:${user.id}`, {
+    expiresAt: Date.now() + MEMBER_CACHE_TTL_MS,
+    request: Promise.resolve({ ...member, user })
+  });
+}
+
+// Gateway のメッセージに含まれる送信者・メンションのメンバー情報を登録
+function rememberMessageMembers(guildId, message) {
+  if (message.member && message.author) {
+    rememberMember(guildId, message.member, message.author);
+  }
+  for (const user of message.mentions || []) {
+    if (user.member) {
+      rememberMember(guildId, user.member, user);
+    }
+  }
+}
+
+// サーバーメンバーを取得（キャッシュ付き。退出済みなどで見つからない場合は null）
+function getMember(guildId, userId, token) {
+  const key = `${guildId}:${userId}`;
+  const cached = memberCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.request;
+  }
+
+  const request = discordRequest(`/guilds/${guildId}/members/${userId}`, token)
+    .catch(error => {
+      if (error.status === 404) {
+        return null;
+      }
+      memberCache.delete(key);
+      throw error;
+    });
+  memberCache.set(key, { expiresAt: Date.now() + MEMBER_CACHE_TTL_MS, request });
+  return request;
+}
+
+// 表示名（サーバーのニックネーム・表示名・ユーザー名の順）
+function displayName(user, member = null) {
+  return (member && member.nick) || user.global_name || user.username;
+}
+
+// ユーザーのプロフィールのURL
+function profileUrl(userId) {
+  return `${PROFILE_URL}/${userId}`;
+}
+
+// ユーザーの表示名を取得（メンバー情報を取得できない場合はユーザーの情報から）
+async function resolveUserName(guildId, user, token) {
+  try {
+    const member = await getMember(guildId, user.id, token);
+    return displayName(member && member.user ? { ...user, ...member.user } : user, member);
+  } catch (error) {
+    console.warn(`  ⚠️  メンバー情報の取得エラー (${user.id}): ${error.message}`);
+    return displayName(user);
+  }
+}
+
+// ロール名を取得（登録されていないサーバーはロール一覧を API で取得）
+async function getRoleName(guildId, roleId, token) {
+  const directory = getDirectory(guildId);
+  if (!directory.roles.has(roleId) && !directory.rolesRequest) {
+    directory.rolesRequest = discordRequest(`/guilds/${guildId}/roles`, token)
+      .then(roles => roles.forEach(role => directory.roles.set(role.id, role.name)))
+      .catch(error => {
+        directory.rolesRequest = null;
+        throw error;
+      });
+  }
+  if (!directory.roles.has(roleId)) {
+    await directory.rolesRequest;
+  }
+  return directory.roles.get(roleId) || null;
+}
+
+// チャンネル名を取得（登録されていないチャンネルは API で取得。閲覧できない・削除済みは null）
+async function getChannelName(guildId, channelId, token) {
+  const directory = getDirectory(guildId);
+  if (directory.channels.has(channelId)) {
+    return directory.channels.get(channelId);
+  }
+  const cached = channelRequests.get(channelId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.request;
+  }
+
+  const request = discordRequest(`/channels/${channelId}`, token)
+    .then(channel => channel.name || null)
+    .catch(error => {
+      if (error.status === 403 || error.status === 404) {
+        return null;
+      }
+      channelRequests.delete(channelId);
+      throw error;
+    });
+  channelRequests.set(channelId, { expiresAt: Date.now() + CHANNEL_CACHE_TTL_MS, request });
+  return request;
+}
+
+// テキスト中のメンションのIDを列挙
+function collectIds(texts, pattern) {
+  const ids = new Set();
+  for (const text of texts) {
+    for (const match of (text || '').matchAll(pattern)) {
+      ids.add(match[1]);
+    }
+  }
+  return [...ids];
+}
+
+// テキスト中のメンション（<@id>・<@&id>・<#id>）の ID → 名前
+// knownNames: メッセージに含まれる情報から作成した名前（message-content.js の collectMentionNames()）
+//   取得できなかったメンションは knownNames の名前を使用する
+async function resolveMentionNames(guildId, texts, knownNames, token) {
+  const known = knownNames || {};
+  const names = { users: { ...known.users }, roles: { ...known.roles }, channels: { ...known.channels } };
+
+  const resolve = async (ids, lookup, target, label) => {
+    await Promise.all(ids.map(async (id) => {
+      try {
+        const name = await lookup(id);
+        if (name) {
+          target[id] = name;
+        }
+      } catch (error) {
+        console.warn(`  ⚠️  ${label}の取得エラー (${id}): ${error.message}`);
+      }
+    }));
+  };
+
+  await Promise.all([
+    resolve(collectIds(texts, /<@!?(\d+)>/g), async (userId) => {
+      // ニックネームがなければメッセージに含まれる名前（表示名）を優先する
+      const member = await getMember(guildId, userId, token);
+      if (member && member.nick) {
+        return member.nick;
+      }
+      return names.users[userId] || (member && member.user ? displayName(member.user) : null);
+    }, names.users, 'メンバー情報'),
+    resolve(collectIds(texts, /<@&(\d+)>/g), roleId => getRoleName(guildId, roleId, token), names.roles, 'ロール'),
+    resolve(collectIds(texts, /<#(\d+)>/g), channelId => getChannelName(guildId, channelId, token), names.channels, 'チャンネル')
+  ]);
+
+  return names;
+}
+
+module.exports = {
+  registerGuild,
+  updateRole,
+  removeRole,
+  updateChannel,
+  removeChannel,
+  rememberMember,
+  rememberMessageMembers,
+  getMember,
+  displayName,
+  profileUrl,
+  resolveUserName,
+  resolveMentionNames
+};
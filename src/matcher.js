@@ -0,0 +1,186 @@
+// キーワードマッチングエンジン
+// - 正規化: Unicode NFKC（全角/半角の統一）+ カタカナ→ひらがな + 小文字化
+// - ルール: 文字列（部分一致）または正規表現
+// - 除外: メッセージ全体、またはキーワードから N 文字以内にある場合のみ
+//
+// config.json の例:
+//   "keywordRules": [
+//     { "name": "振込", "keywords": ["振込", "振り込み", "ふりこみ", "払い込み"] },
+//     { "name": "引き落とし", "regex": "引き?落と?し?" }
+//   ],
+//   "excludeKeywords": [
+//     "テスト送信",
+//     { "keyword": "サービスサイト", "withinChars": 15 }
+//   ]
+
+// 半角カナの濁点・半濁点（直前の文字と合成される）
+const HALFWIDTH_VOICED_MARKS = ['ﾞ', 'ﾟ'];
+
+// カタカナ（ァ〜ヶ）をひらがなに変換
+function katakanaToHiragana(text) {
+  return text.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+}
+
+// テキストを正規化し、正規化後の各文字が元テキストのどの範囲に対応するかを返す
+function normalizeText(text) {
+  const chars = Array.from(text || '');
+  let normalized = '';
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    let chunk = chars[i];
+    // 半角カナ + 濁点は1文字として正規化（ｶﾞ → が）
+    if (i + 1 < chars.length && HALFWIDTH_VOICED_MARKS.includes(chars[i + 1])) {
+      chunk += chars[++i];
+    }
+
+    const converted = katakanaToHiragana(chunk.normalize('NFKC')).toLowerCase();
+    for (let j = 0; j < converted.length; j++) {
+      starts.push(offset);
+      ends.push(offset + chunk.length);
+    }
+    normalized += converted;
+    offset += chunk.length;
+  }
+
+  return { text: normalized, starts, ends };
+}
+
+// 正規化済みテキスト上の範囲を元テキスト上の範囲に変換
+function toOriginalSpan(normalized, start, end) {
+  return {
+    start: normalized.starts[start],
+    end: normalized.ends[end - 1]
+  };
+}
+
+// 正規化済みテキスト内のすべての一致範囲を取得
+function findAll(pattern, text) {
+  const spans = [];
+
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      if (m[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      spans.push({ start: m.index, end: m.index + m[0].length });
+    }
+    return spans;
+  }
+
+  let index = text.indexOf(pattern);
+  while (pattern.length > 0 && index !== -1) {
+    spans.push({ start: index, end: index + pattern.length });
+    index = text.indexOf(pattern, index + 1);
+  }
+  return spans;
+}
+
+// ルール定義（文字列またはオブジェクト）を検索パターンの一覧に変換
+function compilePatterns(definition, label) {
+  if (typeof definition === 'string') {
+    return [normalizeText(definition).text];
+  }
+  if (definition.regex) {
+    // 照合するテキストは小文字化されているため、大文字で書かれたルールも一致するよう i を付ける
+    const flags = Array.from(new Set(`${definition.flags || ''}giu`)).join('');
+    try {
+      // パターンも正規化して、カタカナ・全角で書かれたルールも一致させる
+      return [new RegExp(katakanaToHiragana(definition.regex.normalize('NFKC')), flags)];
+    } catch (error) {
+      throw new Error(`${label} の正規表現が不正です: ${definition.regex} (${error.message})`);
+    }
+  }
+  const keywords = definition.keywords || (definition.keyword ? [definition.keyword] : []);
+  return keywords.map(keyword => normalizeText(keyword).text);
+}
+
+// 設定からマッチャーを作成
+// keywordRules があればそれを使用し、なければ従来の keywords（文字列配列）を1語1ルールとして扱う
+function compileMatcher({ keywords = [], keywordRules, excludeKeywords = [] }) {
+  const ruleDefinitions = keywordRules && keywordRules.length > 0 ? keywordRules : keywords;
+
+  const rules = ruleDefinitions.map((definition, index) => ({
+    name: typeof definition === 'string' ? definition : (definition.name || `ルール${index + 1}`),
+    patterns: compilePatterns(definition, `keywordRules[${index}]`)
+  }));
+
+  const excludes = excludeKeywords.map((definition, index) => ({
+    name: typeof definition === 'string' ? definition : (definition.name || definition.keyword || definition.regex),
+    // withinChars 未指定の場合はメッセージ全体が除外対象
+    withinChars: typeof definition === 'object' && Number.isFinite(definition.withinChars) ? definition.withinChars : null,
+    patterns: compilePatterns(definition, `excludeKeywords[${index}]`)
+  }));
+
+  const wholeExcludes = excludes.filter(exclude => exclude.withinChars === null);
+
+  return {
+    rules,
+    excludes,
+
+    // メッセージ全体の除外キーワード（withinChars 未指定）を含むか
+    isExcluded(content) {
+      const normalized = normalizeText(content);
+      return wholeExcludes.some(exclude => exclude.patterns.some(pattern => findAll(pattern, normalized.text).length > 0));
+    },
+
+    // メッセージを判定し、最初に有効な一致を返す（一致なし・すべて除外の場合は null）
+    match(content) {
+      const normalized = normalizeText(content);
+
+      const hits = [];
+      for (const rule of rules) {
+        for (const pattern of rule.patterns) {
+          for (const span of findAll(pattern, normalized.text)) {
+            hits.push({ rule, ...span });
+          }
+        }
+      }
+      if (hits.length === 0) {
+        return null;
+      }
+
+      const excludeSpans = excludes.map(exclude => ({
+        exclude,
+        spans: exclude.patterns.flatMap(pattern => findAll(pattern, normalized.text))
+      })).filter(entry => entry.spans.length > 0);
+
+      // メッセージ全体の除外
+      if (excludeSpans.some(entry => entry.exclude.withinChars === null)) {
+        return null;
+      }
+
+      hits.sort((a, b) => a.start - b.start);
+      for (const hit of hits) {
+        // キーワードの前後 withinChars 文字以内に除外キーワードがあればこの一致は無効
+        const isNearExclude = excludeSpans.some(({ exclude, spans }) => spans.some(span => {
+          const gap = Math.max(0, span.start - hit.end, hit.start - span.end);
+          return gap <= exclude.withinChars;
+        }));
+        if (isNearExclude) {
+          continue;
+        }
+
+        const original = toOriginalSpan(normalized, hit.start, hit.end);
+        return {
+          rule: hit.rule.name,
+          text: content.slice(original.start, original.end),
+          start: original.start,
+          end: original.end
+        };
+      }
+
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  normalizeText,
+  compileMatcher
+};
@@ -0,0 +1,131 @@
+// Discord メッセージから照合対象のテキストと画像を取り出す
+// 本文だけでなく、埋め込み（タイトル・説明・フィールド・フッター）、添付ファイル名、
+// 転送メッセージ（message_snapshots）の内容も対象にする
+
+// 埋め込みのテキストを照合対象に追加
+function collectEmbedTexts(embeds, prefix, segments) {
+  (embeds || []).forEach((embed, index) => {
+    const label = `${prefix}埋め込み${embeds.length > 1 ? index + 1 : ''}`;
+    if (embed.title) {
+      segments.push({ source: 'embed.title', label: `${label}（タイトル）`, text: embed.title });
+    }
+    if (embed.description) {
+      segments.push({ source: 'embed.description', label: `${label}（説明）`, text: embed.description });
+    }
+    for (const field of embed.fields || []) {
+      segments.push({ source: 'embed.field', label: `${label}（${field.name}）`, text: `${field.name}\n${field.value}` });
+    }
+    if (embed.footer && embed.footer.text) {
+      segments.push({ source: 'embed.footer', label: `${label}（フッター）`, text: embed.footer.text });
+    }
+  });
+}
+
+// 添付ファイル名を照合対象に追加
+function collectAttachmentTexts(attachments, prefix, segments) {
+  for (const attachment of attachments || []) {
+    segments.push({ source: 'attachment', label: `${prefix}添付ファイル名`, text: attachment.filename });
+    if (attachment.description) {
+      segments.push({ source: 'attachment', label: `${prefix}添付ファイルの説明`, text: attachment.description });
+    }
+  }
+}
+
+// メッセージ内の照合対象テキストを列挙（本文が先頭）
+function collectMessageTexts(message) {
+  const segments = [];
+
+  if (message.content) {
+    segments.push({ source: 'content', label: '本文', text: message.content });
+  }
+  collectEmbedTexts(message.embeds, '', segments);
+  collectAttachmentTexts(message.attachments, '', segments);
+
+  // 転送メッセージ
+  for (const snapshot of message.message_snapshots || []) {
+    const forwarded = snapshot.message || {};
+    if (forwarded.content) {
+      segments.push({ source: 'forwarded.content', label: '転送メッセージ', text: forwarded.content });
+    }
+    collectEmbedTexts(forwarded.embeds, '転送メッセージの', segments);
+    collectAttachmentTexts(forwarded.attachments, '転送メッセージの', segments);
+  }
+
+  return segments;
+}
+
+// メッセージ全体をマッチャーで判定（最初に一致したテキストを返す）
+// メッセージ全体の除外キーワードはすべての照合対象で先に判定し、本文にあれば埋め込み・添付ファイル名などの一致も除外する
+// （withinChars の除外はキーワードと同じテキスト内でのみ判定する）
+function matchMessage(matcher, message) {
+  const segments = collectMessageTexts(message);
+  if (segments.some(segment => matcher.isExcluded(segment.text))) {
+    return null;
+  }
+  for (const segment of segments) {
+    const match = matcher.match(segment.text);
+    if (match) {
+      return { ...match, source: segment.source, sourceLabel: segment.label, sourceText: segment.text };
+    }
+  }
+  return null;
+}
+
+// 画像の添付ファイル・埋め込み画像を列挙
+function collectImages(message) {
+  const images = [];
+  const isImage = (attachment) =>
+    (attachment.content_type && attachment.content_type.startsWith('image/')) ||
+    /\.(png|jpe?g|gif|webp)$/i.test(attachment.filename || '');
+
+  const fromMessage = (msg) => {
+    for (const attachment of msg.attachments || []) {
+      if (isImage(attachment)) {
+        images.push({ url: attachment.url, name: attachment.filename });
+      }
+    }
+    for (const embed of msg.embeds || []) {
+      const image = embed.image || embed.thumbnail;
+      if (image && image.url) {
+        images.push({ url: image.url, name: embed.title || 'embed image' });
+      }
+    }
+  };
+
+  fromMessage(message);
+  for (const snapshot of message.message_snapshots || []) {
+    fromMessage(snapshot.message || {});
+  }
+
+  return images;
+}
+
+// 本文中のメンション（<@id>・<#id>）を名前で表示するための ID → 名前
+// ユーザーはメッセージに含まれるメンションの情報（サーバーのニックネーム・表示名・ユーザー名の順）、
+// チャンネルは mention_channels（他のサーバーからのクロスポストのみ含まれる）から取得する
+function collectMentionNames(message) {
+  const users = {};
+  const channels = {};
+  const fromMessage = (msg) => {
+    for (const user of msg.mentions || []) {
+      users[user.id] = (user.member && user.member.nick) || user.global_name || user.username;
+    }
+    for (const channel of msg.mention_channels || []) {
+      channels[channel.id] = channel.name;
+    }
+  };
+
+  fromMessage(message);
+  for (const snapshot of message.message_snapshots || []) {
+    fromMessage(snapshot.message || {});
+  }
+
+  return { users, roles: {}, channels };
+}
+
+module.exports = {
+  collectMessageTexts,
+  matchMessage,
+  collectImages,
+  collectMentionNames
+};
@@ -0,0 +1,49 @@
+// 編集前後のメッセージの差分（行単位）
+// Slack のスレッドに ```diff``` 形式で表示する
+
+// 最長共通部分列で行ごとの差分を作成
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lengths[i][j]: a[i..] と b[j..] の最長共通部分列の長さ
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: '-', text: a[i] });
+      i++;
+    } else {
+      lines.push({ type: '+', text: b[j] });
+      j++;
+    }
+  }
+  return lines;
+}
+
+// Slack 用の差分テキスト（コードブロック内の ``` はエスケープできないため置き換える）
+function formatDiff(before, after) {
+  const body = diffLines(before, after)
+    .map(line => `${line.type} ${line.text}`.replace(/```/g, "'''"))
+    .join('\n');
+  return `\`\`\`\n${body}\n\`\`\``;
+}
+
+module.exports = {
+  diffLines,
+  formatDiff
+};
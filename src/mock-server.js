@@ -0,0 +1,511 @@
+const http = require('http');
+
+// Discord・Slack のモックサーバー（ネットワークのない環境での e2e テスト・動作確認用）
+// 接続先を環境変数で変更して使用する（listen() の戻り値の env）:
+//   DISCORD_API_BASE_URL=http://127.0.0.1:<port>/api/v10
+//   SLACK_API_BASE_URL=http://127.0.0.1:<port>/slack/api
+//   SLACK_WEBHOOK_URL=http://127.0.0.1:<port>/slack/webhook
+//
+// Discord: Cron モード・--serve で使用する REST API（サーバー・チャンネル・スレッド・メッセージ・リアクション・返信・メンバー・ロール）
+//   閲覧権限のないチャンネル（forbidden: true）は 403 を返す。failRequests() で 429・503 などを返す
+//   Gateway（WebSocket）は再現しない
+// Slack: chat.postMessage・chat.update・Incoming Webhook の受信内容を slack に記録する
+//
+// node src/mock-server.js [--port 4000] でサンプルのデータで起動する
+
+const DISCORD_API_PATH = '/api/v10';
+const SLACK_API_PATH = '/slack/api';
+const SLACK_WEBHOOK_PATH = '/slack/webhook';
+
+const DISCORD_EPOCH = 1420070400000n;
+
+// Discord のチャンネル種別
+const GUILD_TEXT = 0;
+const PUBLIC_THREAD = 11;
+
+// Discord のエラーレスポンス
+const ERRORS = {
+  unauthorized: [401, { message: '401: Unauthorized', code: 0 }],
+  missingAccess: [403, { message: 'Missing Access', code: 50001 }],
+  unknownGuild: [404, { message: 'Unknown Guild', code: 10004 }],
+  unknownChannel: [404, { message: 'Unknown Channel', code: 10003 }],
+  unknownMessage: [404, { message: 'Unknown Message', code: 10008 }],
+  unknownMember: [404, { message: 'Unknown Member', code: 10007 }],
+  unknownUser: [404, { message: 'Unknown User', code: 10013 }],
+  notFound: [404, { message: '404: Not Found', code: 0 }]
+};
+
+const compareIds = (a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0);
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// モックサーバーを作成
+// options: {
+//   bot: { id, username },
+//   guilds: [{
+//     id, name, roles: [{ id, name }],
+//     channels: [{ id, name, type, parentId, forbidden }],
+//     members: [{ user: { id, username, global_name }, nick, roles }]
+//   }]
+// }
+function createMockServer(options = {}) {
+  const bot = options.bot || { id: '900000000000000001', username: 'mock-bot', bot: true };
+  const users = new Map([[bot.id, bot]]);
+  const guilds = new Map();
+  const channels = new Map();
+  const members = new Map();
+  const failures = [];
+  const requests = [];
+  const slack = { posts: [], updates: [], webhooks: [] };
+  let lastSnowflake = 0n;
+  let slackSequence = 0;
+
+  // 現在時刻の Snowflake（同じミリ秒でも一意になるよう連番にする）
+  const nextSnowflake = (time = Date.now()) => {
+    const id = (BigInt(time) - DISCORD_EPOCH) << 22n;
+    lastSnowflake = id > lastSnowflake ? id : lastSnowflake + 1n;
+    return lastSnowflake.toString();
+  };
+
+  const rememberUser = (user) => {
+    users.set(user.id, { ...users.get(user.id), ...user });
+    return users.get(user.id);
+  };
+
+  const addChannel = (guildId, channel) => {
+    const stored = {
+      id: channel.id || nextSnowflake(),
+      guild_id: guildId,
+      name: channel.name,
+      type: channel.type === undefined ? GUILD_TEXT : channel.type,
+      parent_id: channel.parentId || null,
+      forbidden: Boolean(channel.forbidden),
+      archived: false,
+      messages: []
+    };
+    channels.set(stored.id, stored);
+    return stored;
+  };
+
+  const addMember = (guildId, member) => {
+    const user = rememberUser(member.user);
+    members.set(`${guildId}:${user.id}`, { user, nick: member.nick || null, roles: member.roles || [] });
+  };
+
+  for (const guild of options.guilds || []) {
+    guilds.set(guild.id, { id: guild.id, name: guild.name, roles: [{ id: guild.id, name: '@everyone' }, ...(guild.roles || [])] });
+    (guild.channels || []).forEach(channel => addChannel(guild.id, channel));
+    (guild.members || []).forEach(member => addMember(guild.id, member));
+  }
+
+  const getChannel = (channelId) => {
+    const channel = channels.get(channelId);
+    if (!channel) {
+      throw new Error(`チャンネル ${channelId} がありません`);
+    }
+    return channel;
+  };
+
+  const getMessage = (channelId, messageId) => {
+    const message = getChannel(channelId).messages.find(candidate => candidate.id === messageId);
+    if (!message) {
+      throw new Error(`メッセージ ${messageId} がありません`);
+    }
+    return message;
+  };
+
+  // API のレスポンスの形式（リアクションしたユーザーは含めない）
+  const toChannelJson = channel => ({
+    id: channel.id,
+    guild_id: channel.guild_id,
+    name: channel.name,
+    type: channel.type,
+    parent_id: channel.parent_id,
+    ...(channel.type === PUBLIC_THREAD ? {
+      thread_metadata: {
+        archived: channel.archived,
+        archive_timestamp: channel.archiveTimestamp || new Date(Number((BigInt(channel.id) >> 22n) + DISCORD_EPOCH)).toISOString()
+      }
+    } : {})
+  });
+
+  const toMessageJson = (message) => {
+    const { reactions, ...rest } = message;
+    const thread = channels.get(message.id);
+    return {
+      ...rest,
+      ...(reactions.length > 0 ? {
+        reactions: reactions.map(reaction => ({ emoji: reaction.emoji, count: reaction.users.length, me: false }))
+      } : {}),
+      ...(thread && thread.type === PUBLIC_THREAD ? { thread: toChannelJson(thread) } : {})
+    };
+  };
+
+  const server = {
+    bot,
+    slack,
+    // 受信したリクエスト（"GET /channels/..."。Discord は /api/v10 以降、Slack は /slack 以降）
+    requests,
+
+    // メッセージを投稿（replyTo: 返信先のメッセージID）
+    postMessage(channelId, { author, content = '', replyTo = null, mentions = [], mentionRoles = [], embeds = [], attachments = [], time } = {}) {
+      const channel = getChannel(channelId);
+      const id = nextSnowflake(time);
+      const referenced = replyTo ? getMessage(channelId, replyTo) : null;
+      const message = {
+        id,
+        channel_id: channelId,
+        author: rememberUser(author || bot),
+        content,
+        timestamp: new Date(time || Date.now()).toISOString(),
+        edited_timestamp: null,
+        embeds,
+        attachments,
+        mentions: mentions.map(rememberUser),
+        mention_roles: mentionRoles,
+        type: referenced ? 19 : 0,
+        ...(referenced ? {
+          message_reference: { message_id: referenced.id, channel_id: channelId, guild_id: channel.guild_id },
+          referenced_message: toMessageJson(referenced)
+        } : {}),
+        reactions: []
+      };
+      channel.messages.push(message);
+      return toMessageJson(message);
+    },
+
+    editMessage(channelId, messageId, content) {
+      const message = getMessage(channelId, messageId);
+      message.content = content;
+      message.edited_timestamp = new Date().toISOString();
+    },
+
+    deleteMessage(channelId, messageId) {
+      const channel = getChannel(channelId);
+      channel.messages = channel.messages.filter(message => message.id !== messageId);
+    },
+
+    addReaction(channelId, messageId, emoji, user) {
+      const message = getMessage(channelId, messageId);
+      let reaction = message.reactions.find(candidate => candidate.emoji.name === emoji);
+      if (!reaction) {
+        reaction = { emoji: { id: null, name: emoji }, users: [] };
+        message.reactions.push(reaction);
+      }
+      if (!reaction.users.some(candidate => candidate.id === user.id)) {
+        reaction.users.push(rememberUser(user));
+      }
+    },
+
+    removeReaction(channelId, messageId, emoji, userId) {
+      const message = getMessage(channelId, messageId);
+      for (const reaction of message.reactions) {
+        if (reaction.emoji.name === emoji) {
+          reaction.users = reaction.users.filter(user => user.id !== userId);
+        }
+      }
+      message.reactions = message.reactions.filter(reaction => reaction.users.length > 0);
+    },
+
+    // メッセージからスレッドを作成（スレッドIDはメッセージIDと同じ）
+    createThread(channelId, messageId, name) {
+      const parent = getChannel(channelId);
+      getMessage(channelId, messageId);
+      return toChannelJson(addChannel(parent.guild_id, { id: messageId, name, type: PUBLIC_THREAD, parentId: channelId }));
+    },
+
+    archiveThread(threadId) {
+      const thread = getChannel(threadId);
+      thread.archived = true;
+      thread.archiveTimestamp = new Date().toISOString();
+    },
+
+    // 一致するリクエストにエラーを返す
+    // rule: { service: 'discord' | 'slack'（既定: discord）, method, path, status, times（既定: 1）, retryAfter（429 の秒数） }
+    // path: クエリを含むパスの前方一致の文字列または RegExp（Discord は /channels/...、Slack は /api/chat.postMessage・/webhook）
+    failRequests(rule) {
+      failures.push({ service: 'discord', times: 1, retryAfter: 0.1, ...rule });
+    }
+  };
+
+  // 一致するエラーの設定（回数を消費する）
+  const takeFailure = (service, method, route) => {
+    const rule = failures.find(candidate =>
+      candidate.times > 0 &&
+      candidate.service === service &&
+      (!candidate.method || candidate.method === method) &&
+      (typeof candidate.path === 'string' ? route.startsWith(candidate.path) : candidate.path.test(route))
+    );
+    if (rule) {
+      rule.times--;
+    }
+    return rule;
+  };
+
+  const failureResponse = (rule) => {
+    if (rule.status === 429) {
+      return [429, { message: 'You are being rate limited.', retry_after: rule.retryAfter, global: false }, { 'retry-after': String(rule.retryAfter) }];
+    }
+    return [rule.status, { message: `モックサーバーのエラー (${rule.status})`, code: 0 }];
+  };
+
+  // Discord REST API
+  const handleDiscord = (method, route, query, body) => {
+    const parts = route.split('/').filter(Boolean);
+    const [resource, id, sub, subId, subSub, emoji] = parts;
+
+    if (resource === 'users') {
+      if (id === '@me') {
+        return [200, bot];
+      }
+      return users.has(id) ? [200, users.get(id)] : ERRORS.unknownUser;
+    }
+
+    if (resource === 'gateway') {
+      return [404, { message: 'モックサーバーは Gateway に対応していません', code: 0 }];
+    }
+
+    if (resource === 'guilds') {
+      const guild = guilds.get(id);
+      if (!guild) {
+        return ERRORS.unknownGuild;
+      }
+      const guildChannels = [...channels.values()].filter(channel => channel.guild_id === id);
+      if (!sub) {
+        return [200, guild];
+      }
+      if (sub === 'channels') {
+        return [200, guildChannels.filter(channel => channel.type !== PUBLIC_THREAD).map(toChannelJson)];
+      }
+      if (sub === 'roles') {
+        return [200, guild.roles];
+      }
+      if (sub === 'threads' && subId === 'active') {
+        const threads = guildChannels.filter(channel => channel.type === PUBLIC_THREAD && !channel.archived);
+        return [200, { threads: threads.map(toChannelJson), members: [] }];
+      }
+      if (sub === 'members' && subId) {
+        const member = members.get(`${id}:${subId}`);
+        return member ? [200, member] : ERRORS.unknownMember;
+      }
+      return ERRORS.notFound;
+    }
+
+    if (resource === 'channels') {
+      const channel = channels.get(id);
+      if (!channel) {
+        return ERRORS.unknownChannel;
+      }
+      if (channel.forbidden) {
+        return ERRORS.missingAccess;
+      }
+      if (!sub) {
+        return [200, toChannelJson(channel)];
+      }
+
+      if (sub === 'threads' && subId === 'archived' && subSub === 'public') {
+        const threads = [...channels.values()].filter(thread => thread.parent_id === id && thread.archived);
+        return [200, { threads: threads.map(toChannelJson), members: [], has_more: false }];
+      }
+
+      if (sub === 'messages' && !subId) {
+        if (method === 'POST') {
+          return [200, server.postMessage(id, {
+            author: bot,
+            content: body.content,
+            replyTo: body.message_reference ? body.message_reference.message_id : null
+          })];
+        }
+        const limit = Math.min(Number(query.get('limit')) || 50, 100);
+        const after = query.get('after');
+        const before = query.get('before');
+        let messages = channel.messages;
+        if (after) {
+          messages = messages.filter(message => compareIds(message.id, after) > 0).slice(0, limit);
+        } else if (before) {
+          messages = messages.filter(message => compareIds(message.id, before) < 0).slice(-limit);
+        } else {
+          messages = messages.slice(-limit);
+        }
+        // Discord と同じく新しい順で返す
+        return [200, messages.map(toMessageJson).reverse()];
+      }
+
+      if (sub === 'messages') {
+        const message = channel.messages.find(candidate => candidate.id === subId);
+        if (!message) {
+          return ERRORS.unknownMessage;
+        }
+        if (!subSub) {
+          return [200, toMessageJson(message)];
+        }
+        if (subSub === 'reactions' && emoji) {
+          const name = decodeURIComponent(emoji).split(':')[0];
+          const reaction = message.reactions.find(candidate => candidate.emoji.name === name);
+          // Discord と同じくユーザーIDの順に limit 人まで（after= で続きを取得）
+          const after = query.get('after');
+          const users = (reaction ? reaction.users : [])
+            .filter(user => !after || compareIds(user.id, after) > 0)
+            .sort((a, b) => compareIds(a.id, b.id));
+          return [200, users.slice(0, Math.min(Number(query.get('limit')) || 25, 100))];
+        }
+      }
+    }
+
+    return ERRORS.notFound;
+  };
+
+  // Slack Web API（chat.postMessage・chat.update）と Incoming Webhook
+  const handleSlack = (route, headers, body) => {
+    if (route.startsWith('/webhook')) {
+      slack.webhooks.push(body);
+      return [200, 'ok'];
+    }
+
+    const method = route.replace('/api/', '');
+    if (!/^Bearer \S+/.test(headers.authorization || '')) {
+      return [200, { ok: false, error: 'not_authed' }];
+    }
+    if (!body.channel) {
+      return [200, { ok: false, error: 'channel_not_found' }];
+    }
+    if (method === 'chat.postMessage') {
+      const ts = `${Math.floor(Date.now() / 1000)}.${String(++slackSequence).padStart(6, '0')}`;
+      slack.posts.push({ ...body, ts });
+      return [200, { ok: true, channel: body.channel, ts }];
+    }
+    if (method === 'chat.update') {
+      slack.updates.push(body);
+      return [200, { ok: true, channel: body.channel, ts: body.ts }];
+    }
+    return [200, { ok: false, error: 'unknown_method' }];
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const raw = await readBody(req);
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      body = {};
+    }
+
+    let service = null;
+    let route = url.pathname;
+    if (url.pathname.startsWith(`${DISCORD_API_PATH}/`)) {
+      service = 'discord';
+      route = url.pathname.slice(DISCORD_API_PATH.length);
+    } else if (url.pathname.startsWith(SLACK_API_PATH) || url.pathname.startsWith(SLACK_WEBHOOK_PATH)) {
+      service = 'slack';
+      route = url.pathname.slice('/slack'.length);
+    }
+    requests.push(`${req.method} ${route}${url.search}`);
+
+    let status;
+    let payload;
+    let headers = {};
+    const failure = service && takeFailure(service, req.method, `${route}${url.search}`);
+    if (failure) {
+      [status, payload, headers = {}] = failureResponse(failure);
+    } else if (service === 'discord') {
+      [status, payload] = /^Bot \S+/.test(req.headers.authorization || '')
+        ? handleDiscord(req.method, route, url.searchParams, body)
+        : ERRORS.unauthorized;
+    } else if (service === 'slack') {
+      [status, payload] = handleSlack(route, req.headers, body);
+    } else if (url.pathname === '/mock/slack') {
+      [status, payload] = [200, slack];
+    } else {
+      [status, payload] = ERRORS.notFound;
+    }
+
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    res.writeHead(status, {
+      'Content-Type': typeof payload === 'string' ? 'text/plain' : 'application/json',
+      ...headers
+    });
+    res.end(text);
+  });
+
+  // 待ち受けを開始（port 0 で空いているポート）
+  // 戻り値: { url, env }（env は接続先の環境変数）
+  server.listen = (port = 0, host = '127.0.0.1') => new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      const url = `http://${host}:${httpServer.address().port}`;
+      resolve({
+        url,
+        env: {
+          DISCORD_API_BASE_URL: `${url}${DISCORD_API_PATH}`,
+          SLACK_API_BASE_URL: `${url}${SLACK_API_PATH}`,
+          SLACK_WEBHOOK_URL: `${url}${SLACK_WEBHOOK_PATH}`
+        }
+      });
+    });
+  });
+
+  server.close = () => new Promise(resolve => httpServer.close(() => resolve()));
+
+  return server;
+}
+
+// サンプルのデータ（node src/mock-server.js で使用）
+const SAMPLE_GUILD_ID = '1000000000000000001';
+
+function createSampleServer() {
+  const server = createMockServer({
+    guilds: [{
+      id: SAMPLE_GUILD_ID,
+      name: 'モックサーバー',
+      roles: [{ id: '1000000000000000101', name: '経理' }],
+      channels: [
+        { id: '1000000000000000201', name: 'general' },
+        { id: '1000000000000000202', name: 'billing' },
+        { id: '1000000000000000203', name: 'staff-only', forbidden: true }
+      ],
+      members: [{ user: { id: '1000000000000000301', username: 'tanaka', global_name: '田中' }, nick: '田中（経理）', roles: ['1000000000000000101'] }]
+    }]
+  });
+  const customer = { id: '1000000000000000302', username: 'customer', global_name: 'お客様' };
+  server.postMessage('1000000000000000201', { author: customer, content: 'こんにちは' });
+  server.postMessage('1000000000000000202', { author: customer, content: '本日振込しました。ご確認お願いします' });
+  return server;
+}
+
+if (require.main === module) {
+  const portIndex = process.argv.indexOf('--port');
+  const port = portIndex === -1 ? 4000 : Number(process.argv[portIndex + 1]);
+  const server = createSampleServer();
+  server.listen(port).then(({ url, env }) => {
+    console.log(`🧪 モックサーバーを起動しました: ${url}`);
+    console.log('   以下の環境変数で通知システムを実行してください:');
+    const runEnv = {
+      DISCORD_API_BASE_URL: env.DISCORD_API_BASE_URL,
+      SLACK_API_BASE_URL: env.SLACK_API_BASE_URL,
+      DISCORD_GUILD_IDS: SAMPLE_GUILD_ID,
+      DISCORD_BOT_TOKEN: 'mock',
+      SLACK_BOT_TOKEN: 'xoxb-mock',
+      SLACK_CHANNEL_ID: 'CMOCK'
+    };
+    Object.entries(runEnv).forEach(([name, value]) => console.log(`   ${name}=${value}`));
+    console.log(`   （Webhook モードの場合は SLACK_BOT_TOKEN・SLACK_CHANNEL_ID の代わりに SLACK_WEBHOOK_URL=${env.SLACK_WEBHOOK_URL}）`);
+    console.log(`   Slack に送信された内容: ${url}/mock/slack`);
+  });
+  const shutdown = () => server.close().then(() => process.exit(0));
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+module.exports = {
+  createMockServer
+};
@@ -0,0 +1,192 @@
+const { compileMatcher } = require('./matcher');
+
+// 検出ルールの階層設定
+// グローバル設定 → サーバー（guildOverrides）→ チャンネル（channelOverrides）の順にマージする
+//
+// config.json の例:
+//   "guildOverrides": {
+//     "1224342407425032304": {
+//       "name": "クライアントA",
+//       "keywordRules": [{ "name": "請求書", "keywords": ["請求書"] }],
+//       "excludeChannels": ["bot-log", "*-log"],
+//       "channelOverrides": [
+//         { "match": "billing-*", "excludeKeywords": ["自動送信"] },
+//         { "match": "1300000000000000000", "replace": true, "keywords": ["入金"] }
+//       ]
+//     }
+//   }
+//
+// 上書きの配列は上位の設定に追加される（"replace": true の場合は置き換え）
+
+// 上書き可能なルール項目（keywords は keywordRules に統合して扱う）
+const RULE_KEYS = [
+  'keywordRules',
+  'excludeKeywords',
+  'excludeUserIds',
+  'excludeUsernames',
+  'staffMentionRules',
+  'resolutionRules'
+];
+
+// チャンネル名の glob（* と ?）を正規表現に変換
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+// チャンネル（スレッドの場合は親チャンネルも）がパターン（ID または名前の glob）に一致するか
+function matchesChannel(pattern, channel) {
+  const ids = [channel.id, channel.parentId].filter(Boolean);
+  if (/^\d+$/.test(pattern)) {
+    return ids.includes(pattern);
+  }
+  return globToRegExp(pattern).test(channel.parentName || channel.name);
+}
+
+// 上書きに含まれるキーワードルール（従来形式の keywords も1語1ルールとして含める）
+function overrideKeywordRules(override) {
+  if (!Array.isArray(override.keywords) && !Array.isArray(override.keywordRules)) {
+    return undefined;
+  }
+  return [...(override.keywords || []), ...(override.keywordRules || [])];
+}
+
+// ルールセットに上書きをマージ
+function mergeRuleSet(base, override) {
+  const merged = { ...base };
+  for (const key of RULE_KEYS) {
+    const values = key === 'keywordRules' ? overrideKeywordRules(override) : override[key];
+    if (!Array.isArray(values)) {
+      continue;
+    }
+    merged[key] = override.replace ? [...values] : [...(base[key] || []), ...values];
+  }
+  return merged;
+}
+
+// ルールセットを作成（マッチャーをコンパイル）
+function buildRuleSet(ruleConfig, label) {
+  try {
+    return { ...ruleConfig, matcher: compileMatcher(ruleConfig) };
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+}
+
+// グローバル設定からルール項目だけを取り出す
+// keywordRules があればそれを使用し、なければ従来の keywords を使用する
+function pickRuleConfig(config) {
+  const ruleConfig = {};
+  for (const key of RULE_KEYS) {
+    ruleConfig[key] = config[key] || [];
+  }
+  if (ruleConfig.keywordRules.length === 0) {
+    ruleConfig.keywordRules = config.keywords || [];
+  }
+  return ruleConfig;
+}
+
+// 全サーバー・全チャンネル上書きのルールを事前にコンパイルして検証
+function compileRuleHierarchy(config) {
+  const globalRules = buildRuleSet(pickRuleConfig(config), 'グローバル設定');
+  const guildRules = new Map();
+
+  for (const [guildId, override] of Object.entries(config.guildOverrides || {})) {
+    const rules = buildRuleSet(mergeRuleSet(globalRules, override), `guildOverrides.${guildId}`);
+    (override.channelOverrides || []).forEach((channelOverride, index) => {
+      buildRuleSet(mergeRuleSet(rules, channelOverride), `guildOverrides.${guildId}.channelOverrides[${index}]`);
+    });
+    guildRules.set(guildId, rules);
+  }
+
+  return { globalRules, guildRules, channelRulesCache: new Map() };
+}
+
+// サーバーの有効なルール
+function getGuildRules(config, guildId) {
+  return config.ruleHierarchy.guildRules.get(guildId) || config.ruleHierarchy.globalRules;
+}
+
+// チャンネルの有効なルール（一致するチャンネル上書きを順にマージ）
+function getChannelRules(config, guildId, channel) {
+  const guildRules = getGuildRules(config, guildId);
+  const override = (config.guildOverrides || {})[guildId];
+  const channelOverrides = (override && override.channelOverrides) || [];
+
+  const matchedIndexes = channelOverrides
+    .map((channelOverride, index) => (matchesChannel(channelOverride.match, channel) ? index : -1))
+    .filter(index => index !== -1);
+  if (matchedIndexes.length === 0) {
+    return guildRules;
+  }
+
+  const cacheKey = `${guildId}:${matchedIndexes.join(',')}`;
+  const cache = config.ruleHierarchy.channelRulesCache;
+  if (!cache.has(cacheKey)) {
+    const merged = matchedIndexes.reduce((rules, index) => mergeRuleSet(rules, channelOverrides[index]), guildRules);
+    cache.set(cacheKey, buildRuleSet(merged, `guildOverrides.${guildId}.channelOverrides`));
+  }
+  return cache.get(cacheKey);
+}
+
+// サーバーの対象・除外チャンネルのパターン
+// includeChannels はサーバー設定がグローバル設定を置き換え、excludeChannels は追加される
+function getChannelFilters(config, guildId) {
+  const override = (config.guildOverrides || {})[guildId] || {};
+  return {
+    includeChannels: override.includeChannels || config.includeChannels || [],
+    excludeChannels: [...(config.excludeChannels || []), ...(override.excludeChannels || [])]
+  };
+}
+
+// チャンネルが監視対象か（includeChannels / excludeChannels、チャンネル上書きの enabled: false）
+function isChannelIncluded(config, guildId, channel) {
+  const override = (config.guildOverrides || {})[guildId] || {};
+  const { includeChannels, excludeChannels } = getChannelFilters(config, guildId);
+
+  if (includeChannels.length > 0 && !includeChannels.some(pattern => matchesChannel(pattern, channel))) {
+    return false;
+  }
+  if (excludeChannels.some(pattern => matchesChannel(pattern, channel))) {
+    return false;
+  }
+  return !(override.channelOverrides || []).some(channelOverride =>
+    channelOverride.enabled === false && matchesChannel(channelOverride.match, channel)
+  );
+}
+
+// サーバーごとの有効なルールの説明（起動時に表示）
+function describeGuildRules(config, guildId) {
+  const override = (config.guildOverrides || {})[guildId] || {};
+  const rules = getGuildRules(config, guildId);
+  const { includeChannels, excludeChannels } = getChannelFilters(config, guildId);
+  const parts = [
+    `ルール: ${rules.matcher.rules.map(rule => rule.name).join(', ')}`,
+    `除外キーワード: ${rules.matcher.excludes.length}`,
+    `除外ユーザー: ${rules.excludeUserIds.length + rules.excludeUsernames.length}`,
+    `スタッフルール: ${rules.staffMentionRules.length}`,
+    `対応済みルール: ${rules.resolutionRules.length}`
+  ];
+
+  if (includeChannels.length > 0) {
+    parts.push(`対象チャンネル: ${includeChannels.join(', ')}`);
+  }
+  if (excludeChannels.length > 0) {
+    parts.push(`除外チャンネル: ${excludeChannels.join(', ')}`);
+  }
+  if ((override.channelOverrides || []).length > 0) {
+    parts.push(`チャンネル上書き: ${override.channelOverrides.map(channelOverride => channelOverride.match).join(', ')}`);
+  }
+
+  return parts.join(' | ');
+}
+
+module.exports = {
+  RULE_KEYS,
+  compileRuleHierarchy,
+  getGuildRules,
+  getChannelRules,
+  isChannelIncluded,
+  matchesChannel,
+  describeGuildRules
+};
@@ -0,0 +1,88 @@
+const { onRateLimit } = require('./discord-api');
+
+// 全サーバー共通のワークキュー
+// 同時実行数は Discord のレート制限ヘッダに応じて増減する（AIMD）
+// - 429 を受けたら同時実行数を半減
+// - 制限に余裕のあるレスポンスが同時実行数ぶん続いたら1増やす
+// - グローバル制限で送信待ちが発生している間は増やさない
+function createScheduler({ initial = 10, min = 1, max = 30 } = {}) {
+  let limit = Math.max(min, Math.min(max, initial));
+  let running = 0;
+  let successStreak = 0;
+  const queue = [];
+  const stats = {
+    completed: 0,
+    rateLimited: 0,
+    peakConcurrency: limit,
+    minConcurrency: limit
+  };
+
+  function pump() {
+    while (running < limit && queue.length > 0) {
+      const job = queue.shift();
+      running++;
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          running--;
+          stats.completed++;
+          pump();
+        });
+    }
+  }
+
+  function setLimit(next) {
+    limit = Math.max(min, Math.min(max, next));
+    stats.peakConcurrency = Math.max(stats.peakConcurrency, limit);
+    stats.minConcurrency = Math.min(stats.minConcurrency, limit);
+    pump();
+  }
+
+  const scheduler = {
+    // タスクをキューに追加し、完了時に結果を返す
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        pump();
+      });
+    },
+
+    get concurrency() {
+      return limit;
+    },
+
+    get pending() {
+      return queue.length + running;
+    },
+
+    // レート制限の購読を解除（実行の終了時に呼ぶ。以降も stats は参照できる）
+    close() {
+      unsubscribe();
+    },
+
+    stats
+  };
+
+  const unsubscribe = onRateLimit((event) => {
+    if (event.type === '429') {
+      stats.rateLimited++;
+      successStreak = 0;
+      setLimit(Math.floor(limit / 2));
+    } else if (event.type === 'throttled') {
+      successStreak = 0;
+    } else if (event.type === 'bucket' && event.remaining > 0) {
+      successStreak++;
+      if (successStreak >= limit) {
+        successStreak = 0;
+        setLimit(limit + 1);
+      }
+    }
+  });
+
+  return scheduler;
+}
+
+module.exports = {
+  createScheduler
+};
@@ -0,0 +1,358 @@
+const http = require('http');
+const crypto = require('crypto');
+const { discordRequest } = require('./discord-api');
+const { ACTIONS, buildTrackedAlert } = require('./alert-message');
+
+// Slack → Discord の返信連携（--serve モード）
+// Slack Events API のコールバックを受け取り、検出通知のスレッドへの返信を
+// 元の Discord メッセージへの返信（message_reference）として投稿する
+//
+// ループ防止:
+// - Bot の投稿（bot_id あり）やメッセージの編集・削除などのサブタイプ付きイベントは無視する
+// - Discord に投稿した返信のIDを notifiedReplies に追加し、追跡チェックで Slack に再通知しない
+//
+// 検出通知の操作ボタン（Slack Interactivity のリクエスト URL: /slack/interactions）
+// - 担当する: 担当者を記録し、スタッフ対応済みとしてエスカレーションを止める
+// - 対応済み: 追跡を終了する
+// - 1時間後に再通知: 次回以降の実行で1時間経過後に再通知する（それまでエスカレーションしない）
+// - 誤検知: 追跡を終了し、excludeKeywords の見直し用に falsePositives に記録する
+
+// 署名の有効期限（リプレイ攻撃対策）
+const SIGNATURE_MAX_AGE_SECONDS = 5 * 60;
+
+// 受信済みイベントID（Slack の再送による重複投稿を防ぐ）
+const EVENT_ID_CACHE_SIZE = 1000;
+
+// リクエストボディの上限
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// 「1時間後に再通知」の保留時間
+const SNOOZE_MS = 60 * 60 * 1000;
+
+// 保存する誤検知の記録の上限（古いものから削除）
+const MAX_FALSE_POSITIVES = 500;
+
+// Slack のリクエスト署名を検証
+// https://api.slack.com/authentication/verifying-requests-from-slack
+function verifySlackSignature(signingSecret, headers, rawBody, now = Date.now()) {
+  const timestamp = headers['x-slack-request-timestamp'];
+  const signature = headers['x-slack-signature'];
+  if (!timestamp || !signature) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  const expected = `v0=${crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+  const expectedBuffer = Buffer.from(expected);
+  const signatureBuffer = Buffer.from(signature);
+  return expectedBuffer.length === signatureBuffer.length && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+}
+
+// Slack の mrkdwn を Discord のテキストに変換
+// リンク <url|label> → label (url)、メンション類は表示名がないため除去、HTML エスケープを戻す
+function slackTextToDiscord(text) {
+  return (text || '')
+    .replace(/<((?:https?|mailto):[^|>]+)\|([^>]+)>/g, '$2 ($1)')
+    .replace(/<((?:https?|mailto):[^>]+)>/g, '$1')
+    .replace(/<[@#!][^>]*>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+// 検出通知のスレッドへの人間の返信か
+function isThreadReply(event) {
+  return event.type === 'message' &&
+    !event.subtype &&
+    !event.bot_id &&
+    Boolean(event.thread_ts) &&
+    event.thread_ts !== event.ts;
+}
+
+// Discord に返信を投稿
+async function postDiscordReply(trackedMsg, content, token) {
+  return discordRequest(`/channels/${trackedMsg.discordChannelId}/messages`, token, 'POST', {
+    content,
+    message_reference: {
+      message_id: trackedMsg.discordMessageId,
+      channel_id: trackedMsg.discordChannelId,
+      guild_id: trackedMsg.discordGuildId,
+      fail_if_not_exists: false
+    },
+    // 返信先の送信者にのみ通知し、本文中の @everyone などは無効にする
+    allowed_mentions: { parse: [], replied_user: true }
+  });
+}
+
+// Slack のスレッド返信を Discord に転送
+async function handleThreadReply(event, { config, storage, slack }) {
+  const trackedData = await storage.load();
+  const trackedMsg = trackedData.messages.find(msg =>
+    msg.slackChannelId === event.channel && msg.slackThreadTs === event.thread_ts
+  );
+  if (!trackedMsg) {
+    return;
+  }
+
+  const content = slackTextToDiscord(event.text);
+  if (!content) {
+    return;
+  }
+  // ダイジェストのスレッドは複数の検出をまとめたものなので、返信先のメッセージを特定できない
+  if (trackedMsg.digest) {
+    await slack.postThreadReply(event.channel, event.thread_ts, {
+      text: slack.templates.t('reply.digest')
+    });
+    return;
+  }
+  if (trackedMsg.deletedAt) {
+    await slack.postThreadReply(event.channel, event.thread_ts, {
+      text: slack.templates.t('reply.deleted')
+    });
+    return;
+  }
+
+  try {
+    const posted = await postDiscordReply(trackedMsg, content, config.discordToken);
+    console.log(`💬 Slack → Discord 返信送信: ${trackedMsg.discordMessageId} ← ${posted.id}`);
+
+    // Bot の返信を追跡チェックで Slack に再通知しないよう、通知済みとして記録
+    trackedMsg.notifiedReplies.push(posted.id);
+    if (!trackedMsg.staffRespondedAt) {
+      trackedMsg.staffRespondedAt = new Date().toISOString();
+    }
+    await storage.save(trackedData);
+  } catch (error) {
+    console.error(`❌ Discord への返信エラー (${trackedMsg.discordMessageId}): ${error.message}`);
+    await slack.postThreadReply(event.channel, event.thread_ts, {
+      text: slack.templates.t('reply.failed', { error: error.message })
+    });
+  }
+}
+
+// ボタン操作ごとの追跡データの変更とスレッドへの通知
+// 戻り値: { changes, notice }（変更がない場合は null）
+function buildActionChange(actionId, trackedMsg, user, templates, now = new Date()) {
+  const username = user.name || user.username || user.id;
+  const at = now.toISOString();
+
+  switch (actionId) {
+    case ACTIONS.ASSIGN:
+      if (trackedMsg.assignee && trackedMsg.assignee.userId === user.id) {
+        return null;
+      }
+      return {
+        changes: {
+          assignee: { userId: user.id, username, assignedAt: at },
+          staffRespondedAt: trackedMsg.staffRespondedAt || at
+        },
+        notice: { text: templates.t('action.assigned', { userId: user.id }) }
+      };
+    case ACTIONS.RESOLVE:
+      return {
+        changes: {
+          resolution: { source: 'slack', rule: 'Slack', userId: user.id, username, emoji: null, resolvedAt: at },
+          snoozedUntil: null
+        },
+        notice: { text: templates.t('action.resolved', { userId: user.id }) }
+      };
+    case ACTIONS.SNOOZE: {
+      const snoozedUntil = new Date(now.getTime() + SNOOZE_MS).toISOString();
+      return {
+        changes: { snoozedUntil, snoozedBy: username },
+        notice: { text: templates.t('action.snoozed', { userId: user.id }) }
+      };
+    }
+    case ACTIONS.FALSE_POSITIVE:
+      return {
+        changes: {
+          falsePositive: { userId: user.id, username, markedAt: at },
+          snoozedUntil: null
+        },
+        notice: { text: templates.t('action.falsePositive', { userId: user.id }) }
+      };
+    default:
+      return null;
+  }
+}
+
+// excludeKeywords の見直し用の誤検知の記録
+function buildFalsePositiveRecord(trackedMsg) {
+  const alert = trackedMsg.alert || {};
+  const keywordMatch = alert.keywordMatch || {};
+  return {
+    discordMessageId: trackedMsg.discordMessageId,
+    guildId: trackedMsg.discordGuildId,
+    guildName: alert.guildName,
+    channelId: trackedMsg.discordChannelId,
+    channelName: alert.channelName,
+    rule: keywordMatch.rule,
+    keyword: keywordMatch.text,
+    source: keywordMatch.source,
+    content: alert.content || keywordMatch.sourceText || '',
+    messageUrl: alert.messageUrl,
+    markedBy: trackedMsg.falsePositive.username,
+    markedAt: trackedMsg.falsePositive.markedAt
+  };
+}
+
+// 検出通知のボタン操作を追跡データと Slack の元メッセージに反映
+async function handleBlockAction(payload, { storage, slack }) {
+  const action = (payload.actions || [])[0];
+  if (!action || !Object.values(ACTIONS).includes(action.action_id)) {
+    return;
+  }
+
+  const trackedData = await storage.load();
+  const messageTs = payload.container && payload.container.message_ts;
+  const trackedMsg = trackedData.messages.find(msg =>
+    msg.discordMessageId === action.value && msg.slackThreadTs === messageTs
+  );
+  if (!trackedMsg) {
+    await slack.postThreadReply(payload.channel.id, messageTs, {
+      text: slack.templates.t('action.expired')
+    });
+    return;
+  }
+  if (trackedMsg.resolution || trackedMsg.falsePositive || trackedMsg.deletedAt) {
+    return;
+  }
+
+  const change = buildActionChange(action.action_id, trackedMsg, payload.user, slack.templates);
+  if (!change) {
+    return;
+  }
+
+  Object.assign(trackedMsg, change.changes);
+  if (trackedMsg.falsePositive) {
+    trackedData.falsePositives = [...trackedData.falsePositives, buildFalsePositiveRecord(trackedMsg)]
+      .slice(-MAX_FALSE_POSITIVES);
+  }
+  await storage.save(trackedData);
+  console.log(`🖱️  Slack ボタン操作: ${action.action_id} (${trackedMsg.discordMessageId}) by ${payload.user.name || payload.user.id}`);
+
+  // 追跡データは保存済みのため、Slack への反映に失敗してもログのみ
+  try {
+    await slack.updateMessage(trackedMsg.slackChannelId, trackedMsg.slackThreadTs, buildTrackedAlert(trackedMsg, true, slack.templates));
+    await slack.postThreadReply(trackedMsg.slackChannelId, trackedMsg.slackThreadTs, change.notice);
+  } catch (error) {
+    console.error(`❌ Slack への反映エラー (${trackedMsg.discordMessageId}): ${error.message}`);
+  }
+}
+
+// リクエストボディを読み込む
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('リクエストボディが大きすぎます'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// HTTP サーバーを作成（listen は呼び出し側で行う）
+// context: { config, storage, slack }
+function createSlackEventsServer(context) {
+  const seenEventIds = new Set();
+  // 追跡データの読み込み・保存が重ならないよう、イベントは1件ずつ処理する
+  let queue = Promise.resolve();
+
+  return http.createServer(async (req, res) => {
+    const respond = (status, body, contentType = 'text/plain') => {
+      res.writeHead(status, { 'Content-Type': contentType });
+      res.end(body);
+    };
+
+    if (req.method === 'GET' && req.url === '/health') {
+      respond(200, 'ok');
+      return;
+    }
+    if (req.method !== 'POST' || (req.url !== '/slack/events' && req.url !== '/slack/interactions')) {
+      respond(404, 'not found');
+      return;
+    }
+
+    let rawBody;
+    try {
+      rawBody = await readBody(req);
+    } catch (error) {
+      respond(413, error.message);
+      return;
+    }
+
+    if (!verifySlackSignature(context.config.slackSigningSecret, req.headers, rawBody)) {
+      console.warn('⚠️  Slack の署名が不正なリクエストを拒否しました');
+      respond(401, 'invalid signature');
+      return;
+    }
+
+    // Interactivity は payload パラメータに JSON が入ったフォーム形式で送られる
+    let payload;
+    try {
+      payload = req.url === '/slack/interactions'
+        ? JSON.parse(new URLSearchParams(rawBody).get('payload'))
+        : JSON.parse(rawBody);
+    } catch (error) {
+      respond(400, 'invalid json');
+      return;
+    }
+    if (!payload) {
+      respond(400, 'invalid payload');
+      return;
+    }
+
+    if (req.url === '/slack/interactions') {
+      respond(200, '');
+      if (payload.type === 'block_actions') {
+        queue = queue
+          .then(() => handleBlockAction(payload, context))
+          .catch(error => console.error(`❌ Slack ボタン操作の処理エラー: ${error.message}`));
+      }
+      return;
+    }
+
+    // イベント URL の確認
+    if (payload.type === 'url_verification') {
+      respond(200, JSON.stringify({ challenge: payload.challenge }), 'application/json');
+      return;
+    }
+
+    // Slack は3秒以内に応答がないと再送するため、先に応答してから処理する
+    respond(200, '');
+
+    if (payload.type !== 'event_callback' || !isThreadReply(payload.event || {})) {
+      return;
+    }
+    if (seenEventIds.has(payload.event_id)) {
+      return;
+    }
+    seenEventIds.add(payload.event_id);
+    if (seenEventIds.size > EVENT_ID_CACHE_SIZE) {
+      seenEventIds.delete(seenEventIds.values().next().value);
+    }
+
+    queue = queue
+      .then(() => handleThreadReply(payload.event, context))
+      .catch(error => console.error(`❌ Slack イベント処理エラー: ${error.message}`));
+  });
+}
+
+module.exports = {
+  verifySlackSignature,
+  slackTextToDiscord,
+  isThreadReply,
+  buildActionChange,
+  createSlackEventsServer
+};
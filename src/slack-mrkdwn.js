@@ -0,0 +1,293 @@
+// Discord のメッセージを Slack で読める形に変換し、Slack の Block Kit の文字数制限に収める
+// - Discord の Markdown（**太字**・*斜体*・~~取り消し線~~・||スポイラー||・見出し・[リンク](URL)）を Slack の mrkdwn に変換
+// - メンション（<@id>・<@&id>・<#id>）を名前に、カスタム絵文字（<:name:id>）を :name: に、タイムスタンプ（<t:秒>）を日時に変換
+// - Slack で特別な意味を持つ & < > をエスケープ（Discord の本文に含まれる <!channel> などが Slack のメンションにならないように）
+// https://api.slack.com/reference/surfaces/formatting
+
+// Block Kit の文字数・要素数の上限
+// https://api.slack.com/reference/block-kit/blocks
+const LIMITS = {
+  MESSAGE_TEXT: 4000,
+  BLOCKS: 50,
+  SECTION_TEXT: 3000,
+  SECTION_FIELDS: 10,
+  FIELD_TEXT: 2000,
+  HEADER_TEXT: 150,
+  CONTEXT_ELEMENTS: 10,
+  CONTEXT_TEXT: 3000,
+  ACTION_ELEMENTS: 25,
+  BUTTON_TEXT: 75
+};
+
+const ELLIPSIS = '…';
+
+// 強調表示の開始・終了の目印（変換後に Slack の太字に置き換える）
+const HIGHLIGHT_START = '\uE002';
+const HIGHLIGHT_END = '\uE003';
+
+// 変換中のトークン（コード・リンク・メンション）の退避先
+const PLACEHOLDER_PATTERN = /\uE100(\d+)\uE101/g;
+
+// Discord のトークン（コード・リンク・メンション・絵文字・タイムスタンプ・URL）
+const TOKEN_PATTERN = new RegExp([
+  '```[\\s\\S]*?```',
+  '`[^`\\n]+`',
+  '\\[([^\\]\\n]+)\\]\\(<?(https?:\\/\\/[^\\s)>]+)>?\\)',
+  '<(https?:\\/\\/[^\\s>]+)>',
+  'https?:\\/\\/[^\\s<>]+',
+  '<@!?(\\d+)>',
+  '<@&(\\d+)>',
+  '<#(\\d+)>',
+  '<a?:(\\w+):\\d+>',
+  '<t:(-?\\d+)(?::[tTdDfFR])?>',
+  '<\\/([\\w -]+):\\d+>'
+].join('|'), 'g');
+
+// Slack の mrkdwn で特別な意味を持つ文字をエスケープ
+function escapeMrkdwn(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 強調表示の目印を除く
+function stripHighlight(text) {
+  return text.replace(/[\uE002\uE003]/g, '');
+}
+
+// トークンを読める文字列に変換
+// context: { names: { users, roles, channels }, unknown: { user, role, channel }, formatTime }
+function convertToken(match, groups, context, mrkdwn) {
+  const [label, linkUrl, angleUrl, userId, roleId, channelId, emojiName, timestamp, commandName] = groups;
+  const names = context.names || {};
+  const unknown = context.unknown || {};
+  const escape = mrkdwn ? escapeMrkdwn : (text) => text;
+
+  if (match.startsWith('`')) {
+    // コードブロックの言語指定（```js）は Slack では表示されないため除く
+    return escape(stripHighlight(match).replace(/^```[\w+-]*\n/, '```\n'));
+  }
+  if (linkUrl) {
+    return mrkdwn ? `<${linkUrl}|${escapeMrkdwn(label)}>` : `${label} (${linkUrl})`;
+  }
+  if (angleUrl) {
+    return escape(angleUrl);
+  }
+  if (match.startsWith('http')) {
+    return escape(stripHighlight(match));
+  }
+  if (userId) {
+    return escape(`@${(names.users || {})[userId] || unknown.user || userId}`);
+  }
+  if (roleId) {
+    return escape(`@${(names.roles || {})[roleId] || unknown.role || roleId}`);
+  }
+  if (channelId) {
+    return escape(`#${(names.channels || {})[channelId] || unknown.channel || channelId}`);
+  }
+  if (emojiName) {
+    return `:${emojiName}:`;
+  }
+  if (timestamp) {
+    const time = Number(timestamp) * 1000;
+    return escape(context.formatTime ? context.formatTime(time) : new Date(time).toISOString());
+  }
+  if (commandName) {
+    return escape(`/${commandName}`);
+  }
+  return escape(match);
+}
+
+// トークンを退避し、残りのテキストを変換してから戻す
+function replaceTokens(text, context, mrkdwn, convertRest) {
+  const tokens = [];
+  const rest = text.replace(TOKEN_PATTERN, (match, ...groups) => {
+    tokens.push(convertToken(match, groups.slice(0, 9), context, mrkdwn));
+    return `\uE100${tokens.length - 1}\uE101`;
+  });
+  return convertRest(rest).replace(PLACEHOLDER_PATTERN, (_, index) => tokens[Number(index)]);
+}
+
+// 引用以外の行を mrkdwn に変換（Discord の >>> は以降のすべての行が引用）
+function convertLines(text) {
+  let quoteRest = false;
+  return text.split('\n').map((line) => {
+    let quote = quoteRest;
+    let body = line;
+    const multiQuote = body.match(/^>>> ?(.*)$/);
+    const singleQuote = body.match(/^> ?(.*)$/);
+    if (multiQuote) {
+      quoteRest = true;
+      quote = true;
+      body = multiQuote[1];
+    } else if (singleQuote) {
+      quote = true;
+      body = singleQuote[1];
+    }
+    return `${quote ? '> ' : ''}${convertFormatting(escapeMrkdwn(body))}`;
+  }).join('\n');
+}
+
+// Discord の Markdown の書式を Slack の mrkdwn に変換（1行分）
+// Slack の太字は *…*、斜体は _…_ のため、太字を目印に退避してから斜体を変換する
+function convertFormatting(line) {
+  const BOLD = '\uE001';
+  return line
+    .replace(/^#{1,3} +(.+)$/, `${BOLD}$1${BOLD}`)
+    .replace(/^-# +(.+)$/, '$1')
+    .replace(/\*\*\*(.+?)\*\*\*/g, `${BOLD}_$1_${BOLD}`)
+    .replace(/\*\*(.+?)\*\*/g, `${BOLD}$1${BOLD}`)
+    .replace(/\*([^*\s](?:[^*]*[^*\s])?)\*/g, '_$1_')
+    .replace(/__(.+?)__/g, '$1')
+    .replace(/~~(.+?)~~/g, '~$1~')
+    .replace(/\|\|(.+?)\|\|/g, '$1')
+    .replace(/\uE001/g, '*');
+}
+
+// Discord のメッセージを Slack の mrkdwn に変換
+// 強調表示の目印（HIGHLIGHT_START / HIGHLIGHT_END）は Slack の太字に置き換える
+// 日本語の文中では * の前後に区切りが必要なため、ゼロ幅スペースで囲む
+function discordToMrkdwn(text, context = {}) {
+  return replaceTokens(text || '', context, true, convertLines)
+    .replace(/\uE002/g, '\u200B*')
+    .replace(/\uE003/g, '*\u200B');
+}
+
+// Discord のメッセージを Slack 以外の送信先（メール・Teams・Webhook）用のテキストに変換
+// メンション・絵文字・タイムスタンプ・リンクのみ変換し、書式はそのまま残す
+function discordToPlain(text, context = {}) {
+  return stripHighlight(replaceTokens(text || '', context, false, (rest) => rest));
+}
+
+// 長い本文を一致箇所が含まれるように切り出す（Discord のトークンの途中では切らない）
+// 戻り値: { text, start, end }（start / end: 切り出した本文での一致箇所の位置）
+function excerpt(text, start, end, maxLength) {
+  if (text.length <= maxLength) {
+    return { text, start, end };
+  }
+  let from = end > maxLength ? Math.max(0, start - Math.floor(maxLength / 3)) : 0;
+  let to = Math.min(text.length, from + maxLength);
+  const openBefore = (position) => {
+    const open = text.lastIndexOf('<', position - 1);
+    return open !== -1 && text.indexOf('>', open) >= position ? open : position;
+  };
+  from = openBefore(from);
+  to = openBefore(to);
+  if (/[\uDC00-\uDFFF]/.test(text[from] || '')) {
+    from++;
+  }
+  if (/[\uD800-\uDBFF]/.test(text[to - 1] || '')) {
+    to--;
+  }
+  const prefix = from > 0 ? ELLIPSIS : '';
+  return {
+    text: `${prefix}${text.slice(from, to)}${to < text.length ? ELLIPSIS : ''}`,
+    start: start - from + prefix.length,
+    end: end - from + prefix.length
+  };
+}
+
+// 文字数の上限で切り詰める（サロゲートペアの途中では切らない）
+function truncateText(text, maxLength) {
+  if (!text || text.length <= maxLength) {
+    return text;
+  }
+  let cut = maxLength - ELLIPSIS.length;
+  if (/[\uD800-\uDBFF]/.test(text[cut - 1])) {
+    cut--;
+  }
+  return `${text.slice(0, cut)}${ELLIPSIS}`;
+}
+
+// mrkdwn を文字数の上限で切り詰める
+// リンク・メンション（<…>）やエスケープ（&amp; など）の途中では切らず、閉じていないコードブロックは閉じる
+function truncateMrkdwn(text, maxLength) {
+  if (!text || text.length <= maxLength) {
+    return text;
+  }
+  const CODE_FENCE = '\n```';
+  let cut = maxLength - ELLIPSIS.length - CODE_FENCE.length;
+  if (/[\uD800-\uDBFF]/.test(text[cut - 1])) {
+    cut--;
+  }
+  const open = text.lastIndexOf('<', cut - 1);
+  if (open !== -1 && text.indexOf('>', open) >= cut) {
+    cut = open;
+  }
+  const entity = text.slice(Math.max(0, cut - 5), cut).match(/&[a-z]*$/);
+  if (entity) {
+    cut -= entity[0].length;
+  }
+  const result = text.slice(0, cut);
+  const unclosedCode = (result.match(/```/g) || []).length % 2 === 1;
+  return `${result}${ELLIPSIS}${unclosedCode ? CODE_FENCE : ''}`;
+}
+
+// テキストオブジェクトを上限に収める（空なら null）
+function fitTextObject(textObject, maxLength) {
+  if (!textObject || !textObject.text) {
+    return null;
+  }
+  const truncate = textObject.type === 'plain_text' ? truncateText : truncateMrkdwn;
+  return { ...textObject, text: truncate(textObject.text, maxLength) };
+}
+
+// ブロックを上限に収める（テキストが空になったブロックは null）
+function fitBlock(block) {
+  switch (block.type) {
+    case 'section': {
+      const text = fitTextObject(block.text, LIMITS.SECTION_TEXT);
+      const fields = (block.fields || [])
+        .map(field => fitTextObject(field, LIMITS.FIELD_TEXT))
+        .filter(Boolean)
+        .slice(0, LIMITS.SECTION_FIELDS);
+      if (!text && fields.length === 0) {
+        return null;
+      }
+      const fitted = { ...block };
+      delete fitted.text;
+      delete fitted.fields;
+      return { ...fitted, ...(text ? { text } : {}), ...(fields.length > 0 ? { fields } : {}) };
+    }
+    case 'header': {
+      const text = fitTextObject(block.text, LIMITS.HEADER_TEXT);
+      return text ? { ...block, text } : null;
+    }
+    case 'context': {
+      const elements = (block.elements || [])
+        .map(element => (element.type === 'image' ? element : fitTextObject(element, LIMITS.CONTEXT_TEXT)))
+        .filter(Boolean)
+        .slice(0, LIMITS.CONTEXT_ELEMENTS);
+      return elements.length > 0 ? { ...block, elements } : null;
+    }
+    case 'actions':
+      return {
+        ...block,
+        elements: block.elements.slice(0, LIMITS.ACTION_ELEMENTS).map(element => (
+          element.text ? { ...element, text: fitTextObject(element.text, LIMITS.BUTTON_TEXT) } : element
+        ))
+      };
+    default:
+      return block;
+  }
+}
+
+// メッセージを Slack の上限に収める
+function fitMessage(message) {
+  return {
+    ...message,
+    text: truncateMrkdwn(message.text, LIMITS.MESSAGE_TEXT),
+    blocks: (message.blocks || []).map(fitBlock).filter(Boolean).slice(0, LIMITS.BLOCKS)
+  };
+}
+
+module.exports = {
+  LIMITS,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  escapeMrkdwn,
+  discordToMrkdwn,
+  discordToPlain,
+  excerpt,
+  truncateText,
+  truncateMrkdwn,
+  fitMessage
+};
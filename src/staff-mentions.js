@@ -0,0 +1,122 @@
+const { getMember } = require('./guild-directory');
+
+// スタッフへのメンション・返信の判定
+// config.staffMentionRules の各ルール:
+//   { name, userIds: [...], roleIds: [...], countReplies: true }
+// メッセージがルールのユーザー・ロールをメンションしている、または（countReplies が true なら）
+// それらのユーザーへの返信である場合、スタッフ宛てとして通知対象外にする
+
+// メンバーのロールIDを取得（キャッシュは guild-directory.js と共通。退出済みのメンバーなどはロールなし）
+async function getMemberRoles(guildId, userId, token) {
+  const member = await getMember(guildId, userId, token);
+  return member ? member.roles || [] : [];
+}
+
+// ユーザーがルールのスタッフ（ユーザーIDまたはロール）に該当するか
+async function isStaffUser(rule, guildId, userId, token) {
+  if ((rule.userIds || []).includes(userId)) {
+    return true;
+  }
+  if (!rule.roleIds || rule.roleIds.length === 0) {
+    return false;
+  }
+  const roles = await getMemberRoles(guildId, userId, token);
+  return roles.some(roleId => rule.roleIds.includes(roleId));
+}
+
+// メッセージがスタッフ宛てかチェックし、該当したルールと理由を返す（該当なしは null）
+async function findStaffAddress(message, guildId, rules, token) {
+  const mentionedUsers = message.mentions || [];
+  const mentionedRoles = message.mention_roles || [];
+  const referencedAuthor = message.referenced_message && message.referenced_message.author;
+
+  for (const rule of rules) {
+    const ruleName = rule.name || 'スタッフ';
+
+    const roleId = mentionedRoles.find(id => (rule.roleIds || []).includes(id));
+    if (roleId) {
+      return { rule: ruleName, type: 'role', targetId: roleId };
+    }
+
+    for (const user of mentionedUsers) {
+      // 返信時の自動メンションは返信として判定する
+      if (referencedAuthor && user.id === referencedAuthor.id) {
+        continue;
+      }
+      if (await isStaffUser(rule, guildId, user.id, token)) {
+        return { rule: ruleName, type: 'mention', targetId: user.id };
+      }
+    }
+
+    if (referencedAuthor && rule.countReplies !== false) {
+      if (await isStaffUser(rule, guildId, referencedAuthor.id, token)) {
+        return { rule: ruleName, type: 'reply', targetId: referencedAuthor.id };
+      }
+    }
+  }
+
+  return null;
+}
+
+// ユーザーが該当するスタッフのルールを返す（該当なしは null）
+async function findStaffRule(userId, guildId, rules, token) {
+  for (const rule of rules) {
+    if (await isStaffUser(rule, guildId, userId, token)) {
+      return rule;
+    }
+  }
+  return null;
+}
+
+// 絵文字の比較用（異体字セレクタの有無を区別しない）
+function normalizeEmoji(name) {
+  return (name || '').replace(/\uFE0F/g, '');
+}
+
+// リアクションが「対応済み」を示すかチェックし、該当したルールを返す（該当なしは null）
+// config.resolutionRules の各ルール:
+//   { name, emoji: ["✅", "done"], userIds: [...], roleIds: [...] }
+// emoji はUnicode絵文字、カスタム絵文字の名前、または "名前:ID"
+async function findResolutionRule(emoji, userId, guildId, rules, token) {
+  const candidates = [normalizeEmoji(emoji.name), emoji.id ? `${emoji.name}:${emoji.id}` : null].filter(Boolean);
+
+  for (const rule of rules) {
+    if (!rule.emoji.some(entry => candidates.includes(normalizeEmoji(entry)))) {
+      continue;
+    }
+    if (await isStaffUser(rule, guildId, userId, token)) {
+      return rule;
+    }
+  }
+
+  return null;
+}
+
+// 通知対象になった理由の説明文
+function describeQualification(message, keywordMatch, rules, templates) {
+  const { t } = templates;
+  const location = keywordMatch.sourceLabel && keywordMatch.source !== 'content' ? t('reason.location', { label: keywordMatch.sourceLabel }) : '';
+  const reasons = [t('reason.rule', { rule: keywordMatch.rule, keyword: keywordMatch.text, location })];
+
+  if (rules.length === 0) {
+    return reasons.join(t('reason.separator'));
+  }
+
+  const mentionCount = (message.mentions || []).length + (message.mention_roles || []).length;
+  if (message.referenced_message) {
+    reasons.push(t('reason.notStaffReply'));
+  } else if (mentionCount > 0) {
+    reasons.push(t('reason.nonStaffMentions', { count: mentionCount }));
+  } else {
+    reasons.push(t('reason.noMention'));
+  }
+
+  return reasons.join(t('reason.separator'));
+}
+
+module.exports = {
+  findStaffAddress,
+  findStaffRule,
+  findResolutionRule,
+  describeQualification
+};
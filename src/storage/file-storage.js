@@ -0,0 +1,37 @@
+const fs = require('fs');
+
+// JSON ファイルのストレージ
+// 一時ファイルに書き込んでから rename するため、書き込み中に終了してもファイルが壊れない
+
+function createStorage(options) {
+  const filePath = options.path;
+
+  return {
+    name: 'file',
+    location: filePath,
+
+    async load() {
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    },
+
+    async save(data) {
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      try {
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tempPath, filePath);
+      } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+      }
+    },
+
+    async close() {}
+  };
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,99 @@
+const path = require('path');
+const { clone, mergeTrackedData } = require('./merge');
+
+// 追跡データのストレージ
+// 追跡中のメッセージ・チャンネルごとのウォーターマーク・通知済みインデックスを保存する
+//
+// 保存するデータの形式:
+//   {
+//     messages: [{ discordMessageId, discordChannelId, ... }],
+//     notifiedMessageIds: { [messageId]: notifiedAt },
+//     channelWatermarks: { [channelId]: messageId },
+//     falsePositives: [{ discordMessageId, rule, keyword, content, markedBy, markedAt, ... }],
+//     pendingAlerts: [{ match, urgent, queuedAt }]（夜間・ダイジェストで配信を待っている検出）
+//   }
+//
+// バックエンドは STORAGE_BACKEND 環境変数で選択する（既定: file）
+// 新しいバックエンド（Postgres・Redis など）を追加する場合は、
+// createStorage(options) で { name, location, load(), save(data), close() } を返すモジュールを作成し、
+// BACKENDS に登録する（load / save / close は Promise を返す。load はデータがなければ null を返す）
+//
+// Cron の実行・Gateway・--serve のサーバーが同じ保存先を使用する場合に互いの変更を上書きしないよう、
+// save は保存先の最新のデータを読み込み、load した時点から自分が変更していない項目は保存先の値にマージしてから保存する
+// （マージした結果は save に渡したデータにも反映される。読み込みから書き込みまでの間は排他しない）
+
+const BACKENDS = {
+  file: () => require('./file-storage'),
+  sqlite: () => require('./sqlite-storage')
+};
+
+// バックエンドごとの既定の保存先
+const DEFAULT_PATHS = {
+  file: path.join(__dirname, '..', '..', 'tracked-messages.json'),
+  sqlite: path.join(__dirname, '..', '..', 'tracked-messages.sqlite')
+};
+
+// 空の追跡データ
+function emptyTrackedData() {
+  return { messages: [], notifiedMessageIds: {}, channelWatermarks: {}, falsePositives: [], pendingAlerts: [] };
+}
+
+// 読み込んだデータの欠けている項目を補完
+function normalizeTrackedData(data) {
+  return {
+    messages: (data && data.messages) || [],
+    notifiedMessageIds: (data && data.notifiedMessageIds) || {},
+    channelWatermarks: (data && data.channelWatermarks) || {},
+    falsePositives: (data && data.falsePositives) || [],
+    pendingAlerts: (data && data.pendingAlerts) || []
+  };
+}
+
+// 環境変数からストレージを作成
+function createStorage(env = process.env) {
+  const name = (env.STORAGE_BACKEND || 'file').toLowerCase();
+  if (!BACKENDS[name]) {
+    throw new Error(`不明なストレージバックエンドです: ${name}（${Object.keys(BACKENDS).join(' / ')} のいずれかを指定してください）`);
+  }
+
+  const backend = BACKENDS[name]().createStorage({
+    path: env.STORAGE_PATH || DEFAULT_PATHS[name]
+  });
+
+  // load したデータ → 読み込んだ時点の内容（保存時のマージの基準）
+  const snapshots = new WeakMap();
+
+  return {
+    ...backend,
+    async load() {
+      const data = normalizeTrackedData(await backend.load());
+      snapshots.set(data, clone(data));
+      return data;
+    },
+    async save(data) {
+      const stored = normalizeTrackedData(await backend.load());
+      mergeTrackedData(snapshots.get(data) || emptyTrackedData(), data, stored);
+      await backend.save(data);
+      snapshots.set(data, clone(data));
+    }
+  };
+}
+
+// 保存しないストレージ（--dry-run で追跡データ・ウォーターマークを更新しない）
+function createReadOnlyStorage(storage) {
+  return {
+    name: `${storage.name}（読み込みのみ）`,
+    location: storage.location,
+    load: () => storage.load(),
+    save: async () => {},
+    close: () => storage.close()
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  createStorage,
+  createReadOnlyStorage,
+  emptyTrackedData,
+  normalizeTrackedData
+};
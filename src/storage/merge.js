@@ -0,0 +1,92 @@
+// 追跡データの3方向マージ
+// Cron の実行・Gateway・--serve のサーバーは同じストレージを読み込んでから保存するまでの間に
+// 互いの変更（ボタン操作・Slack からの返信・新しい検出など）を上書きしないよう、
+// 保存の直前に保存先の最新のデータを読み込み、読み込んだ時点のデータ（base）と比べて
+// 自分が変更していない項目は保存先の値を使用する
+
+// 両方のプロセスが追加しうる追跡メッセージの配列（両方の追加を残し、どちらかが削除した項目は削除する）
+const UNION_FIELDS = ['notifiedReplies', 'notifiedReactions'];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// 自分が変更した値を優先し、変更していなければ保存先の値を使用する
+function mergeValue(base, ours, theirs) {
+  return same(ours, base) ? theirs : ours;
+}
+
+// オブジェクトのキーごとにマージ（ours を更新する）
+function mergeKeys(base, ours, theirs, merge = mergeValue) {
+  const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+  for (const key of keys) {
+    const value = merge(base[key], ours[key], theirs[key], key);
+    if (value === undefined) {
+      delete ours[key];
+    } else {
+      ours[key] = value;
+    }
+  }
+}
+
+// 配列を集合としてマージ（読み込んだ時点から追加された項目は両方とも残し、削除された項目は残さない）
+function mergeSet(base, ours, theirs) {
+  const baseItems = base || [];
+  const theirAdded = theirs.filter(item => !baseItems.includes(item) && !ours.includes(item));
+  const theirRemoved = baseItems.filter(item => !theirs.includes(item));
+  return [...ours.filter(item => !theirRemoved.includes(item)), ...theirAdded];
+}
+
+// 追跡メッセージの項目ごとにマージ（返信・リアクションの通知済みの記録は両方の変更を残す）
+function mergeTrackedMessage(base, ours, theirs) {
+  mergeKeys(base, ours, theirs, (baseValue, ourValue, theirValue, key) => {
+    if (UNION_FIELDS.includes(key) && Array.isArray(ourValue) && Array.isArray(theirValue)) {
+      return mergeSet(baseValue, ourValue, theirValue);
+    }
+    return mergeValue(baseValue, ourValue, theirValue);
+  });
+}
+
+// キーで識別する配列をマージ（ours を更新する）
+// 保存先にだけある項目は他のプロセスが追加したものとして加え、
+// 保存先で削除された項目は自分が変更していなければ削除する
+function mergeList(base, ours, theirs, keyOf, mergeItem) {
+  const baseItems = new Map(base.map(item => [keyOf(item), item]));
+  const theirItems = new Map(theirs.map(item => [keyOf(item), item]));
+  const ourKeys = new Set(ours.map(keyOf));
+
+  const merged = [];
+  for (const item of ours) {
+    const key = keyOf(item);
+    if (theirItems.has(key)) {
+      if (mergeItem) {
+        mergeItem(baseItems.get(key) || {}, item, theirItems.get(key));
+      }
+      merged.push(item);
+    } else if (!baseItems.has(key) || !same(item, baseItems.get(key))) {
+      merged.push(item);
+    }
+  }
+  for (const item of theirs) {
+    const key = keyOf(item);
+    if (!ourKeys.has(key) && !baseItems.has(key)) {
+      merged.push(item);
+    }
+  }
+  ours.splice(0, ours.length, ...merged);
+}
+
+// base: 読み込んだ時点のデータ、ours: 保存するデータ、theirs: 保存先の最新のデータ
+// ours をマージした結果に更新する（呼び出し側が持つ追跡メッセージのオブジェクトはそのまま使用できる）
+function mergeTrackedData(base, ours, theirs) {
+  mergeList(base.messages, ours.messages, theirs.messages, message => message.discordMessageId, mergeTrackedMessage);
+  mergeKeys(base.notifiedMessageIds, ours.notifiedMessageIds, theirs.notifiedMessageIds);
+  mergeKeys(base.channelWatermarks, ours.channelWatermarks, theirs.channelWatermarks);
+  mergeList(base.falsePositives, ours.falsePositives, theirs.falsePositives, record => JSON.stringify(record));
+  mergeList(base.pendingAlerts, ours.pendingAlerts, theirs.pendingAlerts, alert => alert.match.messageId);
+  return ours;
+}
+
+module.exports = {
+  clone,
+  mergeTrackedData
+};
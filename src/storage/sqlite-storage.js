@@ -0,0 +1,130 @@
+// SQLite のストレージ
+// Node.js 22.5 以降の組み込み node:sqlite を使用し、ない場合は better-sqlite3 を使用する
+// （どちらも同期 API で prepare / run / all / exec を持つ）
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tracked_messages (
+    discord_message_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS notified_messages (
+    discord_message_id TEXT PRIMARY KEY,
+    notified_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS channel_watermarks (
+    channel_id TEXT PRIMARY KEY,
+    message_id TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS false_positives (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS pending_alerts (
+    discord_message_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+// 利用可能な SQLite ドライバーでデータベースを開く
+function openDatabase(filePath) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(filePath);
+  } catch (error) {
+    // node:sqlite がない Node.js のバージョン
+  }
+
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(filePath);
+  } catch (error) {
+    throw new Error('SQLite ストレージには Node.js 22.5 以降、または better-sqlite3 パッケージ（npm install better-sqlite3）が必要です');
+  }
+}
+
+// ドライバーがない場合はここで例外となり、起動時に停止する（状態なしで実行すると再通知が発生するため）
+function createStorage(options) {
+  const filePath = options.path;
+  let db = openDatabase(filePath);
+  db.exec(SCHEMA);
+
+  const getDatabase = () => {
+    if (!db) {
+      throw new Error('SQLite ストレージは既に閉じられています');
+    }
+    return db;
+  };
+
+  return {
+    name: 'sqlite',
+    location: filePath,
+
+    async load() {
+      const database = getDatabase();
+      const data = { messages: [], notifiedMessageIds: {}, channelWatermarks: {}, falsePositives: [], pendingAlerts: [] };
+
+      for (const row of database.prepare('SELECT data FROM tracked_messages ORDER BY discord_message_id').all()) {
+        data.messages.push(JSON.parse(row.data));
+      }
+      for (const row of database.prepare('SELECT discord_message_id, notified_at FROM notified_messages').all()) {
+        data.notifiedMessageIds[row.discord_message_id] = row.notified_at;
+      }
+      for (const row of database.prepare('SELECT channel_id, message_id FROM channel_watermarks').all()) {
+        data.channelWatermarks[row.channel_id] = row.message_id;
+      }
+      for (const row of database.prepare('SELECT data FROM false_positives ORDER BY id').all()) {
+        data.falsePositives.push(JSON.parse(row.data));
+      }
+      for (const row of database.prepare('SELECT data FROM pending_alerts').all()) {
+        data.pendingAlerts.push(JSON.parse(row.data));
+      }
+
+      return data;
+    },
+
+    // 全データを1トランザクションで置き換える
+    async save(data) {
+      const database = getDatabase();
+      const insertMessage = database.prepare('INSERT OR REPLACE INTO tracked_messages (discord_message_id, data) VALUES (?, ?)');
+      const insertNotified = database.prepare('INSERT OR REPLACE INTO notified_messages (discord_message_id, notified_at) VALUES (?, ?)');
+      const insertWatermark = database.prepare('INSERT OR REPLACE INTO channel_watermarks (channel_id, message_id) VALUES (?, ?)');
+      const insertFalsePositive = database.prepare('INSERT INTO false_positives (data) VALUES (?)');
+      const insertPendingAlert = database.prepare('INSERT OR REPLACE INTO pending_alerts (discord_message_id, data) VALUES (?, ?)');
+
+      database.exec('BEGIN');
+      try {
+        database.exec('DELETE FROM tracked_messages; DELETE FROM notified_messages; DELETE FROM channel_watermarks; DELETE FROM false_positives; DELETE FROM pending_alerts;');
+        for (const message of data.messages) {
+          insertMessage.run(message.discordMessageId, JSON.stringify(message));
+        }
+        for (const [messageId, notifiedAt] of Object.entries(data.notifiedMessageIds)) {
+          insertNotified.run(messageId, notifiedAt);
+        }
+        for (const [channelId, messageId] of Object.entries(data.channelWatermarks)) {
+          insertWatermark.run(channelId, messageId);
+        }
+        for (const falsePositive of data.falsePositives || []) {
+          insertFalsePositive.run(JSON.stringify(falsePositive));
+        }
+        for (const pendingAlert of data.pendingAlerts || []) {
+          insertPendingAlert.run(pendingAlert.match.messageId, JSON.stringify(pendingAlert));
+        }
+        database.exec('COMMIT');
+      } catch (error) {
+        database.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async close() {
+      if (db) {
+        db.close();
+        db = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  createStorage
+};
@@ -0,0 +1,123 @@
+const { fitMessage } = require('../slack-mrkdwn');
+
+// Slack に送信するメッセージのテンプレート（日本語・英語）
+//
+// config.json の例:
+//   "messages": {
+//     "locale": "en",
+//     "strings": { "thread.reply": "💬 {{user}}:\n> {{content}}" },
+//     "layouts": {
+//       "summary": {
+//         "text": "{{title}}",
+//         "blocks": [
+//           { "type": "header", "text": { "type": "plain_text", "text": "{{title}}" } },
+//           { "type": "section", "fields": ["{{> fields}}"] },
+//           "{{> errors}}"
+//         ]
+//       }
+//     }
+//   }
+//
+// locale: 組み込みのテンプレート（ja / en、既定: ja）
+// strings: スレッド通知・状態表示・ボタンなどの文言。{{名前}} を値に置き換える（指定したキーのみ上書き）
+// layouts: Block Kit のレイアウト（指定したレイアウトを置き換え）
+//   文字列中の {{名前}} を値に置き換え、配列の要素 "{{> 名前}}" をコードで組み立てたブロックの一覧に置き換える
+//   置き換えた結果テキストが空になったブロックは送信せず、文字数・要素数は Slack の上限に収める
+// 使用できる値は ja.json / en.json の組み込みのレイアウトを参照
+
+const LOCALES = {
+  ja: () => require('./ja.json'),
+  en: () => require('./en.json')
+};
+
+const DEFAULT_LOCALE = 'ja';
+
+// レイアウトごとにコードで組み立てるブロック（"{{> 名前}}"）
+const LAYOUT_PARTIALS = {
+  alert: ['status', 'source', 'images', 'actions'],
+  digest: ['guilds', 'omitted'],
+  summary: ['fields', 'throughput', 'errors']
+};
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const PARTIAL = /^\{\{>\s*(\w+)\s*\}\}$/;
+
+// 文字列の {{名前}} を値に置き換える（値がなければ空文字列）
+function fill(template, values) {
+  return template.replace(PLACEHOLDER, (_, name) => (
+    values[name] === undefined || values[name] === null ? '' : String(values[name])
+  ));
+}
+
+// レイアウトの値を再帰的に置き換える
+function renderValue(value, values, partials) {
+  if (typeof value === 'string') {
+    return fill(value, values);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap((item) => {
+      const partial = typeof item === 'string' && item.match(PARTIAL);
+      return partial ? (partials[partial[1]] || []) : [renderValue(item, values, partials)];
+    });
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, values, partials)]));
+  }
+  return value;
+}
+
+// 組み込みのテンプレートに config.json の上書きを適用
+// options: config.json の messages
+function compileTemplates(options = {}) {
+  const locale = options.locale || DEFAULT_LOCALE;
+  const base = LOCALES[locale]();
+  const strings = { ...base.strings, ...options.strings };
+  const layouts = { ...base.layouts, ...options.layouts };
+
+  const formatTime = (time) => new Date(time).toLocaleString(base.dateLocale, { timeZone: 'Asia/Tokyo' });
+
+  return {
+    locale,
+    formatTime,
+
+    // 文言（strings のキー）
+    t(key, values = {}) {
+      return fill(strings[key], values);
+    },
+
+    // レイアウトから Slack のメッセージ（text・blocks）を作成
+    render(name, values, partials = {}) {
+      const layout = layouts[name];
+      return fitMessage({
+        text: fill(layout.text, values),
+        blocks: renderValue(layout.blocks, values, partials)
+      });
+    },
+
+    // Discord のメンション・タイムスタンプの変換に使用する設定（slack-mrkdwn.js）
+    // names: { users, roles, channels }（ID → 名前）
+    discordContext(names = {}) {
+      return {
+        names,
+        unknown: {
+          user: strings['mention.unknownUser'],
+          role: strings['mention.unknownRole'],
+          channel: strings['mention.unknownChannel']
+        },
+        formatTime
+      };
+    }
+  };
+}
+
+// 組み込みの文言のキー（config.json の検証用）
+function listStringKeys() {
+  return Object.keys(LOCALES[DEFAULT_LOCALE]().strings);
+}
+
+module.exports = {
+  LOCALES,
+  LAYOUT_PARTIALS,
+  compileTemplates,
+  listStringKeys
+};
@@ -0,0 +1,258 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// WebSocket クライアント（RFC 6455、Discord Gateway 用の最小実装）
+// - テキストフレームの送受信、分割フレームの結合
+// - Ping への Pong 応答、Close ハンドシェイク
+// - 拡張（permessage-deflate）・バイナリの送信は未対応
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  CONTINUATION: 0x0,
+  TEXT: 0x1,
+  BINARY: 0x2,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xa
+};
+
+// ハンドシェイクのタイムアウト
+const HANDSHAKE_TIMEOUT_MS = 15000;
+
+// Close フレーム送信後、相手の応答を待つ時間
+const CLOSE_TIMEOUT_MS = 3000;
+
+// クライアントから送信するフレーム（マスク必須）
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = 0x80 | length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 0x80 | 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 0x80 | 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+
+  const mask = crypto.randomBytes(4);
+  const masked = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    masked[i] = payload[i] ^ mask[i % 4];
+  }
+  return Buffer.concat([header, mask, masked]);
+}
+
+// 受信バッファの先頭のフレームを取り出す（不足している場合は null）
+function decodeFrame(buffer) {
+  if (buffer.length < 2) {
+    return null;
+  }
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) {
+      return null;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) {
+      return null;
+    }
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskOffset = offset;
+  if (masked) {
+    offset += 4;
+  }
+  if (buffer.length < offset + length) {
+    return null;
+  }
+
+  let payload = buffer.subarray(offset, offset + length);
+  if (masked) {
+    const mask = buffer.subarray(maskOffset, maskOffset + 4);
+    payload = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+  }
+  return { fin, opcode, payload, size: offset + length };
+}
+
+// WebSocket に接続
+// handlers: { onOpen(), onMessage(text), onClose(code, reason), onError(error) }
+// 戻り値: { send(text), close(code, reason) }
+function connectWebSocket(url, handlers) {
+  const target = new URL(url);
+  const secure = target.protocol === 'wss:';
+  const key = crypto.randomBytes(16).toString('base64');
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let closeSent = false;
+  let closed = false;
+  let closeCode = 1006;
+  let closeReason = '';
+
+  const finish = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    handlers.onClose(closeCode, closeReason);
+  };
+
+  const fail = (error) => {
+    if (handlers.onError) {
+      handlers.onError(error);
+    }
+    if (socket) {
+      socket.destroy();
+    } else {
+      finish();
+    }
+  };
+
+  const writeFrame = (opcode, payload) => {
+    if (socket && !socket.destroyed) {
+      socket.write(encodeFrame(opcode, payload));
+    }
+  };
+
+  const sendClose = (code, reason) => {
+    if (closeSent || !socket) {
+      return;
+    }
+    closeSent = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    writeFrame(OPCODES.CLOSE, payload);
+    // 相手が応答しない場合も確実に切断する
+    setTimeout(() => socket.destroy(), CLOSE_TIMEOUT_MS).unref();
+  };
+
+  const handleFrame = (frame) => {
+    switch (frame.opcode) {
+      case OPCODES.PING:
+        writeFrame(OPCODES.PONG, frame.payload);
+        return;
+      case OPCODES.PONG:
+        return;
+      case OPCODES.CLOSE:
+        closeCode = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+        closeReason = frame.payload.subarray(2).toString('utf8');
+        if (!closeSent) {
+          sendClose(closeCode === 1005 ? 1000 : closeCode, '');
+        }
+        socket.end();
+        return;
+      default:
+        fragments.push(frame.payload);
+        if (frame.fin) {
+          const message = Buffer.concat(fragments);
+          fragments = [];
+          handlers.onMessage(message.toString('utf8'));
+        }
+    }
+  };
+
+  const handleData = (chunk) => {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    let frame;
+    while ((frame = decodeFrame(buffer))) {
+      buffer = buffer.subarray(frame.size);
+      try {
+        handleFrame(frame);
+      } catch (error) {
+        fail(error);
+        return;
+      }
+    }
+  };
+
+  const request = (secure ? https : http).request({
+    hostname: target.hostname,
+    port: target.port || (secure ? 443 : 80),
+    path: `${target.pathname}${target.search}`,
+    headers: {
+      Connection: 'Upgrade',
+      Upgrade: 'websocket',
+      'Sec-WebSocket-Key': key,
+      'Sec-WebSocket-Version': '13'
+    },
+    timeout: HANDSHAKE_TIMEOUT_MS
+  });
+
+  request.on('upgrade', (res, upgradedSocket, head) => {
+    socket = upgradedSocket;
+    socket.on('close', finish);
+    socket.on('error', (error) => {
+      if (handlers.onError) {
+        handlers.onError(error);
+      }
+    });
+
+    const expected = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    if (res.headers['sec-websocket-accept'] !== expected) {
+      fail(new Error('WebSocket ハンドシェイクの応答が不正です'));
+      return;
+    }
+
+    // ハンドシェイク用のタイムアウトを解除（接続の監視は Gateway のハートビートで行う）
+    socket.setTimeout(0);
+    socket.setNoDelay(true);
+    socket.on('data', handleData);
+
+    if (handlers.onOpen) {
+      handlers.onOpen();
+    }
+    if (head && head.length > 0) {
+      handleData(head);
+    }
+  });
+
+  request.on('response', (res) => {
+    res.resume();
+    fail(new Error(`WebSocket ハンドシェイクエラー: HTTP ${res.statusCode}`));
+  });
+  request.on('timeout', () => {
+    request.destroy(new Error('WebSocket ハンドシェイクがタイムアウトしました'));
+  });
+  request.on('error', fail);
+  request.end();
+
+  return {
+    send(text) {
+      writeFrame(OPCODES.TEXT, Buffer.from(text, 'utf8'));
+    },
+
+    close(code = 1000, reason = '') {
+      if (!socket) {
+        request.destroy();
+        finish();
+        return;
+      }
+      closeCode = code;
+      closeReason = reason;
+      sendClose(code, reason);
+    }
+  };
+}
+
+module.exports = {
+  connectWebSocket
+};